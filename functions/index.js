@@ -2,15 +2,27 @@
  * Firebase Functions with Secrets for Nodemailer
  */
 
-const { onCall } = require("firebase-functions/v2/https");
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
 const { setGlobalOptions } = require("firebase-functions/v2/options");
 const { onDocumentCreated } = require("firebase-functions/v2/firestore");
 const { onDocumentUpdated } = require("firebase-functions/v2/firestore");
-const { defineSecret } = require("firebase-functions/params");
+const { onDocumentWritten } = require("firebase-functions/v2/firestore");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { isDeepStrictEqual } = require("util");
+const {
+  defineSecret,
+  defineInt,
+  defineString,
+} = require("firebase-functions/params");
 const logger = require("firebase-functions/logger");
+const crypto = require("crypto");
 const admin = require("firebase-admin");
 const vision = require("@google-cloud/vision");
 const nodemailer = require("nodemailer");
+const {
+  geohashForLocation,
+  geohashQueryBounds,
+} = require("geofire-common");
 
 // Firebase initialize
 admin.initializeApp();
@@ -21,770 +33,7141 @@ setGlobalOptions({ maxInstances: 10 });
 const GMAIL_EMAIL = defineSecret("GMAIL_EMAIL");
 const GMAIL_APP_PASSWORD = defineSecret("GMAIL_APP_PASSWORD");
 const GEMINI_API_KEY = defineSecret("GEMINI_API_KEY");
+const SMTP_PASSWORD = defineSecret("SMTP_PASSWORD");
+
+// Mail transport used by the mailOutbox: gmail, smtp or capture (stores
+// messages in mailCapture instead of sending, for tests and the emulator)
+const MAIL_TRANSPORT = defineString("MAIL_TRANSPORT", { default: "gmail" });
+const MAIL_FROM = defineString("MAIL_FROM", { default: "" });
+const SMTP_HOST = defineString("SMTP_HOST", { default: "" });
+const SMTP_PORT = defineInt("SMTP_PORT", { default: 587 });
+const SMTP_USER = defineString("SMTP_USER", { default: "" });
+
+// Secrets bound to the mail functions. SMTP_PASSWORD is only bound when
+// MAIL_TRANSPORT=smtp is set in functions/.env, so Gmail-only projects
+// don't have to create it.
+const MAIL_SECRETS = [
+  GMAIL_EMAIL,
+  GMAIL_APP_PASSWORD,
+  ...(process.env.MAIL_TRANSPORT === "smtp" ? [SMTP_PASSWORD] : []),
+];
+
+// Failed assignment retries before the report is escalated to NGO admins
+const ASSIGNMENT_MAX_ATTEMPTS = defineInt("ASSIGNMENT_MAX_ATTEMPTS", {
+  default: 5,
+});
+
+// Radii in km searched for workers, comma-separated. Beyond the widest
+// radius any located active worker of a covering NGO is considered.
+const ASSIGNMENT_SEARCH_RADII_KM = defineString("ASSIGNMENT_SEARCH_RADII_KM", {
+  default: "5,15,50",
+});
+
+// Minutes a worker has to accept an assignment before it moves on
+const ASSIGNMENT_ACCEPT_SLA_MINUTES = defineInt(
+  "ASSIGNMENT_ACCEPT_SLA_MINUTES",
+  { default: 30 }
+);
+
+// Minimum before/after cleanliness score for a report to resolve without
+// NGO admin review
+const RESOLUTION_MIN_CLEANLINESS_SCORE = defineInt(
+  "RESOLUTION_MIN_CLEANLINESS_SCORE",
+  { default: 70 }
+);
+
+// Hours between SLA escalation steps once a report is overdue: NGO admins
+// are notified at the deadline, the report is reassigned one step later
+// if its worker hasn't accepted it, and raised to super admins one step
+// after that
+const SLA_ESCALATION_STEP_HOURS = defineInt("SLA_ESCALATION_STEP_HOURS", {
+  default: 4,
+});
+
+// Worker invites: how long the setup link stays valid, and the app page
+// that receives the invite token
+const WORKER_INVITE_EXPIRY_HOURS = defineInt("WORKER_INVITE_EXPIRY_HOURS", {
+  default: 72,
+});
+const WORKER_INVITE_URL = defineString("WORKER_INVITE_URL", {
+  default: "https://swachhsathi.web.app/worker-invite",
+});
+
+// New reports within this distance and time window of an open report in
+// the same category are linked to it as duplicates
+const DUPLICATE_RADIUS_METERS = defineInt("DUPLICATE_RADIUS_METERS", {
+  default: 100,
+});
+const DUPLICATE_WINDOW_HOURS = defineInt("DUPLICATE_WINDOW_HOURS", {
+  default: 48,
+});
+
+// Ordered image classification providers for analyzeGarbageImage, each
+// optionally with a timeout in ms, e.g. "vision:10000,gemini:20000"
+const CLASSIFIER_PROVIDERS = defineString("CLASSIFIER_PROVIDERS", {
+  default: "vision,gemini",
+});
+
+// Gemini model used by the gemini classification provider
+const GEMINI_MODEL = defineString("GEMINI_MODEL", {
+  default: "gemini-2.0-flash",
+});
+
+// Roles carried in users.role and mirrored into Auth custom claims.
+// Users without a role are citizens. City officials get read-only access
+// to city-wide statistics.
+const ROLES = [
+  "citizen",
+  "worker",
+  "ngo_admin",
+  "city_official",
+  "super_admin",
+];
+const ADMIN_ROLES = ["ngo_admin", "super_admin"];
+
+/**
+ * Check the caller's role from their custom claims and return
+ * { uid, role, ngoId }. Throws unless the caller is signed in with one of
+ * allowedRoles (any role when omitted). When ngoId is given, NGO admins
+ * may only act on their own NGO.
+ */
+function requireRole(request, allowedRoles, ngoId) {
+  if (!request.auth) {
+    throw new Error("User must be authenticated");
+  }
+
+  const role = request.auth.token.role || "citizen";
+  const callerNgoId = request.auth.token.ngoId || null;
+
+  if (allowedRoles && !allowedRoles.includes(role)) {
+    throw new Error(`Role ${role} is not allowed to perform this action`);
+  }
+  if (ngoId !== undefined && role === "ngo_admin" && callerNgoId !== ngoId) {
+    throw new Error("You can only manage your own NGO");
+  }
+
+  return { uid: request.auth.uid, role, ngoId: callerNgoId };
+}
+
+// How long processedEvents records are kept (via a Firestore TTL policy
+// on expiresAt). Redeliveries come well within this window.
+const PROCESSED_EVENT_TTL_DAYS = 7;
+
+/**
+ * Claim a trigger event so its side effects run once. Firestore triggers
+ * are delivered at least once; the first delivery creates
+ * processedEvents/{handler}_{eventId} and any redelivery finds it and gets
+ * false.
+ */
+async function claimEvent(event, handler) {
+  const eventRef = admin
+    .firestore()
+    .collection("processedEvents")
+    .doc(`${handler}_${event.id}`);
+
+  try {
+    await eventRef.create({
+      handler,
+      eventId: event.id,
+      processedAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.Timestamp.fromMillis(
+        Date.now() + PROCESSED_EVENT_TTL_DAYS * 24 * 60 * 60 * 1000
+      ),
+    });
+    return true;
+  } catch (error) {
+    // 6 = ALREADY_EXISTS
+    if (error.code === 6) {
+      logger.info(`Skipping duplicate ${handler} event ${event.id}`);
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Drop a claim made by claimEvent when the handler fails, so a redelivery
+ * of the event runs it again instead of being skipped. Handlers release
+ * and rethrow, so their side effects are at least once, not at most once.
+ */
+async function releaseEvent(event, handler) {
+  try {
+    await admin
+      .firestore()
+      .collection("processedEvents")
+      .doc(`${handler}_${event.id}`)
+      .delete();
+  } catch (error) {
+    logger.error(`Error releasing ${handler} event ${event.id}:`, error);
+  }
+}
+
+/**
+ * Set a user's role and NGO as Auth custom claims, so callables can
+ * authorize from the ID token. Server code changing users.role or
+ * users.ngoId calls this before writing the document, since the claims are
+ * the source of truth that syncUserClaims holds the document to.
+ */
+async function setUserClaims(uid, role, ngoId) {
+  await admin.auth().setCustomUserClaims(uid, {
+    role: ROLES.includes(role) ? role : "citizen",
+    ngoId: ngoId || null,
+  });
+}
+
+/**
+ * Keep users.role and users.ngoId in line with the user's custom claims.
+ * Only setUserRole and the worker callables change claims, so any other
+ * write to these fields (e.g. by the user themselves) is reverted.
+ */
+exports.syncUserClaims = onDocumentWritten("users/{userId}", async (event) => {
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  const userId = event.params.userId;
+
+  if (!after) {
+    return null;
+  }
+  if (before && before.role === after.role && before.ngoId === after.ngoId) {
+    return null;
+  }
+
+  try {
+    let claims = {};
+    try {
+      claims = (await admin.auth().getUser(userId)).customClaims || {};
+    } catch (error) {
+      if (error.code !== "auth/user-not-found") {
+        throw error;
+      }
+    }
+
+    const role = claims.role || "citizen";
+    const ngoId = claims.ngoId || null;
+
+    if ((after.role || "citizen") === role && (after.ngoId || null) === ngoId) {
+      return null;
+    }
+
+    await event.data.after.ref.update({
+      role,
+      ngoId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    logger.warn(
+      `Reverted unauthorised role change for ${userId} to ${role} (NGO ${ngoId})`
+    );
+  } catch (error) {
+    logger.error(`Error checking claims for ${userId}:`, error);
+  }
+
+  return null;
+});
+
+/**
+ * Change a user's role and NGO (super admins only), in their custom claims
+ * and their users document
+ */
+exports.setUserRole = onCall(async (request) => {
+  try {
+    requireRole(request, ["super_admin"]);
+
+    const { uid, role, ngoId } = request.data;
+
+    if (!uid || !ROLES.includes(role)) {
+      throw new Error(`uid and a role (${ROLES.join(", ")}) are required`);
+    }
+    if ((role === "worker" || role === "ngo_admin") && !ngoId) {
+      throw new Error(`ngoId is required for role ${role}`);
+    }
+
+    const userRef = admin.firestore().collection("users").doc(uid);
+
+    if (!(await userRef.get()).exists) {
+      throw new Error("User not found");
+    }
+
+    await setUserClaims(uid, role, ngoId);
+
+    // claimsUpdatedAt lets the app know to refresh its ID token
+    await userRef.update({
+      role,
+      ngoId: ngoId || null,
+      claimsUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    logger.info(`User ${uid} given role ${role} by ${request.auth.uid}`);
+
+    return {
+      success: true,
+      message: "Role updated",
+    };
+  } catch (error) {
+    logger.error("Set user role error:", error);
+    throw new Error(error.message);
+  }
+});
+
+// Languages user-facing text is available in; anything else falls back
+// to English
+const SUPPORTED_LOCALES = ["en", "hi", "mr"];
+
+const LANGUAGE_NAMES = {
+  en: "English",
+  hi: "Hindi",
+  mr: "Marathi",
+};
+
+// Message catalog for responses, push notifications and emails.
+// {placeholders} are filled in by t().
+const MESSAGES = {
+  en: {
+    "severity.Low": "Low",
+    "severity.Medium": "Medium",
+    "severity.High": "High",
+    "analysis.noGarbage":
+      "No garbage detected in the image. Please capture an image with visible waste or garbage.",
+    "analysis.detected": "Detected: {labels}. {count} items identified.",
+    "compare.clean": "Great job! The area has been successfully cleaned.",
+    "compare.progress": "Good progress, but the area needs more cleaning.",
+    "compare.dirty":
+      "The area still appears to have significant garbage. Please clean more thoroughly.",
+    "push.reportResolved.title": "Report Resolved",
+    "push.reportResolved.body":
+      "Your garbage collection report has been successfully resolved. Thank you for keeping our community clean!",
+    "push.workerWelcome.title": "Welcome to SwachhSathi",
+    "push.workerWelcome.body":
+      "Your worker account has been created. Start making a difference in your community!",
+    "push.taskAssigned.title": "New Task Assigned",
+    "push.taskAssigned.body":
+      "You have been assigned a new {category} task. Severity: {severity}",
+    "push.assignmentEscalated.title": "Report Needs Assignment",
+    "push.assignmentEscalated.body":
+      "A {category} report could not be assigned after {attempts} attempts ({reason}). Please assign it manually.",
+    "push.outsideServiceArea.title": "Report Outside Service Areas",
+    "push.outsideServiceArea.body":
+      "A {category} report was filed outside every NGO service area. Please review it.",
+    "push.reportAssigned.title": "Worker Assigned",
+    "push.reportAssigned.body":
+      "{worker} has been assigned to your {category} report.{eta}",
+    "push.reportAccepted.title": "Worker On The Way",
+    "push.reportAccepted.body":
+      "{worker} accepted your {category} report.{eta}",
+    "push.reportInProgress.title": "Cleanup Started",
+    "push.reportInProgress.body":
+      "{worker} has started work on your {category} report.",
+    "push.reportRejected.title": "Report Rejected",
+    "push.reportRejected.body":
+      "Your {category} report was rejected. Open the app for details.",
+    "push.reportDuplicate.title": "Already Reported",
+    "push.reportDuplicate.body":
+      "Your {category} report matches one already filed nearby. You'll be updated as it progresses.",
+    "push.reportNeedsReview.title": "Cleanup Under Review",
+    "push.reportNeedsReview.body":
+      "Work on your {category} report is done and is being checked before it is closed.",
+    "push.reportReassigning.title": "Finding Another Worker",
+    "push.reportReassigning.body":
+      "Your {category} report is being passed to another worker. You'll be told who as soon as it is assigned.",
+    "push.eta": " Expected arrival in about {minutes} minutes.",
+    "push.slaBreached.title": "Report Overdue",
+    "push.slaBreached.body":
+      "A {severity} {category} report has passed its {hours}-hour deadline. Please follow up.",
+    "push.slaRaised.title": "Overdue Report Escalated",
+    "push.slaRaised.body":
+      "A {severity} {category} report is still open {overdue} hours past its deadline after reassignment.",
+    "badge.first_scan": "First Scan",
+    "badge.waste_sorter": "Waste Sorter",
+    "badge.first_report": "First Report",
+    "badge.neighbourhood_hero": "Neighbourhood Hero",
+    "badge.eco_champion": "Eco Champion",
+    "push.badgeEarned.title": "New Badge Earned",
+    "push.badgeEarned.body":
+      "You earned the {badge} badge. You now have {points} eco-points.",
+    "push.aWorker": "A worker",
+    "timeline.reported": "Report submitted",
+    "timeline.assigned": "Worker assigned",
+    "timeline.accepted": "Worker accepted the task",
+    "timeline.in_progress": "Cleanup started",
+    "timeline.needs_review": "Cleanup under review",
+    "timeline.resolved": "Resolved",
+    "timeline.rejected": "Rejected",
+    "timeline.duplicate": "Linked to an existing report",
+    "email.workerWelcome.subject":
+      "Welcome to SwachhSathi - Worker Account Created",
+    "email.workerWelcome.heading": "Welcome to SwachhSathi!",
+    "email.workerWelcome.greeting": "Hi {name},",
+    "email.workerWelcome.created":
+      "Your worker account has been successfully created.",
+    "email.workerWelcome.email": "Email",
+    "email.workerWelcome.setup":
+      "Set your password to activate your account. This link expires in {hours} hours.",
+    "email.workerWelcome.button": "Set up my account",
+    "email.reportAssigned.subject": "New {category} task assigned",
+    "email.reportAssigned.heading": "New Task Assigned",
+    "email.reportAssigned.greeting": "Hi {name},",
+    "email.reportAssigned.body":
+      "You have been assigned a new {category} task. Severity: {severity}",
+    "email.reportAssigned.address": "Location",
+    "email.reportAssigned.accept":
+      "Please open the SwachhSathi app to accept or decline it within {minutes} minutes.",
+    "email.reportResolved.subject": "Your report has been resolved",
+    "email.reportResolved.heading": "Report Resolved",
+    "email.reportResolved.greeting": "Hi {name},",
+    "email.reportResolved.body":
+      "Your {category} report has been successfully resolved. Thank you for helping keep our community clean!",
+  },
+  hi: {
+    "severity.Low": "कम",
+    "severity.Medium": "मध्यम",
+    "severity.High": "अधिक",
+    "analysis.noGarbage":
+      "छवि में कोई कचरा नहीं मिला। कृपया दिखाई देने वाले कचरे की छवि लें।",
+    "analysis.detected": "पहचाना गया: {labels}। {count} वस्तुएँ मिलीं।",
+    "compare.clean": "बहुत बढ़िया! क्षेत्र की सफलतापूर्वक सफाई हो गई है।",
+    "compare.progress": "अच्छी प्रगति, लेकिन क्षेत्र को और सफाई की ज़रूरत है।",
+    "compare.dirty":
+      "क्षेत्र में अभी भी काफ़ी कचरा दिख रहा है। कृपया और अच्छी तरह सफाई करें।",
+    "push.reportResolved.title": "शिकायत का समाधान हुआ",
+    "push.reportResolved.body":
+      "आपकी कचरा संग्रह शिकायत का सफलतापूर्वक समाधान कर दिया गया है। हमारे समुदाय को स्वच्छ रखने के लिए धन्यवाद!",
+    "push.workerWelcome.title": "स्वच्छसाथी में आपका स्वागत है",
+    "push.workerWelcome.body":
+      "आपका कर्मचारी खाता बन गया है। अपने समुदाय में बदलाव लाना शुरू करें!",
+    "push.taskAssigned.title": "नया कार्य सौंपा गया",
+    "push.taskAssigned.body":
+      "आपको एक नया {category} कार्य सौंपा गया है। गंभीरता: {severity}",
+    "push.assignmentEscalated.title": "शिकायत सौंपना बाकी है",
+    "push.assignmentEscalated.body":
+      "{category} शिकायत {attempts} प्रयासों के बाद भी सौंपी नहीं जा सकी ({reason})। कृपया इसे स्वयं सौंपें।",
+    "push.outsideServiceArea.title": "शिकायत सेवा क्षेत्र से बाहर",
+    "push.outsideServiceArea.body":
+      "एक {category} शिकायत किसी भी NGO के सेवा क्षेत्र से बाहर दर्ज की गई है। कृपया इसकी समीक्षा करें।",
+    "push.reportAssigned.title": "कर्मचारी नियुक्त",
+    "push.reportAssigned.body":
+      "{worker} को आपकी {category} शिकायत सौंपी गई है।{eta}",
+    "push.reportAccepted.title": "कर्मचारी रास्ते में है",
+    "push.reportAccepted.body":
+      "{worker} ने आपकी {category} शिकायत स्वीकार की।{eta}",
+    "push.reportInProgress.title": "सफाई शुरू हुई",
+    "push.reportInProgress.body":
+      "{worker} ने आपकी {category} शिकायत पर काम शुरू कर दिया है।",
+    "push.reportRejected.title": "शिकायत अस्वीकार",
+    "push.reportRejected.body":
+      "आपकी {category} शिकायत अस्वीकार कर दी गई। विवरण के लिए ऐप खोलें।",
+    "push.reportDuplicate.title": "पहले से दर्ज",
+    "push.reportDuplicate.body":
+      "आपकी {category} शिकायत पास में पहले से दर्ज एक शिकायत से मिलती है। उसकी प्रगति की जानकारी आपको मिलती रहेगी।",
+    "push.reportNeedsReview.title": "सफाई की जाँच हो रही है",
+    "push.reportNeedsReview.body":
+      "आपकी {category} शिकायत पर काम पूरा हो गया है और बंद करने से पहले उसकी जाँच की जा रही है।",
+    "push.reportReassigning.title": "दूसरा कर्मचारी ढूँढा जा रहा है",
+    "push.reportReassigning.body":
+      "आपकी {category} शिकायत दूसरे कर्मचारी को दी जा रही है। नियुक्ति होते ही आपको बताया जाएगा।",
+    "push.eta": " लगभग {minutes} मिनट में पहुँचने की उम्मीद है।",
+    "push.slaBreached.title": "शिकायत की समय-सीमा निकल गई",
+    "push.slaBreached.body":
+      "{severity} गंभीरता की {category} शिकायत अपनी {hours} घंटे की समय-सीमा पार कर चुकी है। कृपया ध्यान दें।",
+    "push.slaRaised.title": "विलंबित शिकायत आगे बढ़ाई गई",
+    "push.slaRaised.body":
+      "{severity} गंभीरता की {category} शिकायत दोबारा सौंपे जाने के बाद भी समय-सीमा से {overdue} घंटे अधिक समय से खुली है।",
+    "badge.first_scan": "पहला स्कैन",
+    "badge.waste_sorter": "कचरा छँटाई विशेषज्ञ",
+    "badge.first_report": "पहली शिकायत",
+    "badge.neighbourhood_hero": "मोहल्ले का नायक",
+    "badge.eco_champion": "पर्यावरण चैंपियन",
+    "push.badgeEarned.title": "नया बैज मिला",
+    "push.badgeEarned.body":
+      "आपने {badge} बैज जीता। अब आपके पास {points} इको-पॉइंट हैं।",
+    "push.aWorker": "एक कर्मचारी",
+    "timeline.reported": "शिकायत दर्ज की गई",
+    "timeline.assigned": "कर्मचारी नियुक्त",
+    "timeline.accepted": "कर्मचारी ने कार्य स्वीकार किया",
+    "timeline.in_progress": "सफाई शुरू हुई",
+    "timeline.needs_review": "सफाई की समीक्षा हो रही है",
+    "timeline.resolved": "समाधान हुआ",
+    "timeline.rejected": "अस्वीकार",
+    "timeline.duplicate": "मौजूदा शिकायत से जोड़ा गया",
+    "email.workerWelcome.subject":
+      "स्वच्छसाथी में आपका स्वागत है - कर्मचारी खाता बनाया गया",
+    "email.workerWelcome.heading": "स्वच्छसाथी में आपका स्वागत है!",
+    "email.workerWelcome.greeting": "नमस्ते {name},",
+    "email.workerWelcome.created":
+      "आपका कर्मचारी खाता सफलतापूर्वक बना दिया गया है।",
+    "email.workerWelcome.email": "ईमेल",
+    "email.workerWelcome.setup":
+      "अपना खाता सक्रिय करने के लिए पासवर्ड सेट करें। यह लिंक {hours} घंटों में समाप्त हो जाएगा।",
+    "email.workerWelcome.button": "मेरा खाता सेट करें",
+    "email.reportAssigned.subject": "नया {category} कार्य सौंपा गया",
+    "email.reportAssigned.heading": "नया कार्य सौंपा गया",
+    "email.reportAssigned.greeting": "नमस्ते {name},",
+    "email.reportAssigned.body":
+      "आपको एक नया {category} कार्य सौंपा गया है। गंभीरता: {severity}",
+    "email.reportAssigned.address": "स्थान",
+    "email.reportAssigned.accept":
+      "कृपया {minutes} मिनट के भीतर स्वच्छसाथी ऐप खोलकर इसे स्वीकार या अस्वीकार करें।",
+    "email.reportResolved.subject": "आपकी शिकायत का समाधान हो गया है",
+    "email.reportResolved.heading": "शिकायत का समाधान हुआ",
+    "email.reportResolved.greeting": "नमस्ते {name},",
+    "email.reportResolved.body":
+      "आपकी {category} शिकायत का सफलतापूर्वक समाधान कर दिया गया है। हमारे समुदाय को स्वच्छ रखने के लिए धन्यवाद!",
+  },
+  mr: {
+    "severity.Low": "कमी",
+    "severity.Medium": "मध्यम",
+    "severity.High": "जास्त",
+    "analysis.noGarbage":
+      "प्रतिमेत कचरा आढळला नाही. कृपया दिसणाऱ्या कचऱ्याचा फोटो घ्या.",
+    "analysis.detected": "आढळले: {labels}. {count} वस्तू ओळखल्या.",
+    "compare.clean": "छान काम! परिसर यशस्वीरित्या स्वच्छ झाला आहे.",
+    "compare.progress": "चांगली प्रगती, पण परिसराला अजून स्वच्छतेची गरज आहे.",
+    "compare.dirty":
+      "परिसरात अजूनही बराच कचरा दिसत आहे. कृपया अधिक नीट स्वच्छता करा.",
+    "push.reportResolved.title": "तक्रारीचे निराकरण झाले",
+    "push.reportResolved.body":
+      "तुमच्या कचरा संकलन तक्रारीचे यशस्वीरित्या निराकरण झाले आहे. आपला परिसर स्वच्छ ठेवल्याबद्दल धन्यवाद!",
+    "push.workerWelcome.title": "स्वच्छसाथीमध्ये आपले स्वागत आहे",
+    "push.workerWelcome.body":
+      "तुमचे कर्मचारी खाते तयार झाले आहे. आपल्या परिसरात बदल घडवायला सुरुवात करा!",
+    "push.taskAssigned.title": "नवीन काम सोपवले",
+    "push.taskAssigned.body":
+      "तुम्हाला नवीन {category} काम सोपवले आहे. तीव्रता: {severity}",
+    "push.assignmentEscalated.title": "तक्रार सोपवणे बाकी आहे",
+    "push.assignmentEscalated.body":
+      "{category} तक्रार {attempts} प्रयत्नांनंतरही सोपवता आली नाही ({reason}). कृपया ती स्वतः सोपवा.",
+    "push.outsideServiceArea.title": "तक्रार सेवा क्षेत्राबाहेर",
+    "push.outsideServiceArea.body":
+      "एक {category} तक्रार कोणत्याही NGO च्या सेवा क्षेत्राबाहेर नोंदवली गेली आहे. कृपया तिचे पुनरावलोकन करा.",
+    "push.reportAssigned.title": "कर्मचारी नेमला",
+    "push.reportAssigned.body":
+      "{worker} यांना तुमची {category} तक्रार सोपवली आहे.{eta}",
+    "push.reportAccepted.title": "कर्मचारी येत आहेत",
+    "push.reportAccepted.body":
+      "{worker} यांनी तुमची {category} तक्रार स्वीकारली.{eta}",
+    "push.reportInProgress.title": "स्वच्छता सुरू झाली",
+    "push.reportInProgress.body":
+      "{worker} यांनी तुमच्या {category} तक्रारीवर काम सुरू केले आहे.",
+    "push.reportRejected.title": "तक्रार नाकारली",
+    "push.reportRejected.body":
+      "तुमची {category} तक्रार नाकारली गेली. तपशीलासाठी ॲप उघडा.",
+    "push.reportDuplicate.title": "आधीच नोंदवलेली",
+    "push.reportDuplicate.body":
+      "तुमची {category} तक्रार जवळ आधीच नोंदवलेल्या तक्रारीशी जुळते. तिच्या प्रगतीची माहिती तुम्हाला मिळत राहील.",
+    "push.reportNeedsReview.title": "स्वच्छतेची तपासणी सुरू आहे",
+    "push.reportNeedsReview.body":
+      "तुमच्या {category} तक्रारीवरील काम पूर्ण झाले असून ती बंद करण्यापूर्वी तपासली जात आहे.",
+    "push.reportReassigning.title": "दुसरा कर्मचारी शोधत आहोत",
+    "push.reportReassigning.body":
+      "तुमची {category} तक्रार दुसऱ्या कर्मचाऱ्याकडे दिली जात आहे. नेमणूक होताच तुम्हाला कळवले जाईल.",
+    "push.eta": " सुमारे {minutes} मिनिटांत पोहोचण्याची अपेक्षा आहे.",
+    "push.slaBreached.title": "तक्रारीची मुदत संपली",
+    "push.slaBreached.body":
+      "{severity} तीव्रतेच्या {category} तक्रारीची {hours} तासांची मुदत संपली आहे. कृपया पाठपुरावा करा.",
+    "push.slaRaised.title": "मुदत संपलेली तक्रार पुढे पाठवली",
+    "push.slaRaised.body":
+      "{severity} तीव्रतेची {category} तक्रार पुन्हा सोपवल्यानंतरही मुदतीपेक्षा {overdue} तास जास्त उघडी आहे.",
+    "badge.first_scan": "पहिले स्कॅन",
+    "badge.waste_sorter": "कचरा वर्गीकरण तज्ञ",
+    "badge.first_report": "पहिली तक्रार",
+    "badge.neighbourhood_hero": "परिसराचा नायक",
+    "badge.eco_champion": "पर्यावरण चॅम्पियन",
+    "push.badgeEarned.title": "नवीन बॅज मिळाला",
+    "push.badgeEarned.body":
+      "तुम्ही {badge} बॅज मिळवला. आता तुमच्याकडे {points} इको-पॉइंट्स आहेत.",
+    "push.aWorker": "एक कर्मचारी",
+    "timeline.reported": "तक्रार नोंदवली",
+    "timeline.assigned": "कर्मचारी नेमला",
+    "timeline.accepted": "कर्मचाऱ्याने काम स्वीकारले",
+    "timeline.in_progress": "स्वच्छता सुरू झाली",
+    "timeline.needs_review": "स्वच्छतेचे पुनरावलोकन सुरू आहे",
+    "timeline.resolved": "निराकरण झाले",
+    "timeline.rejected": "नाकारली",
+    "timeline.duplicate": "आधीच्या तक्रारीशी जोडली",
+    "email.workerWelcome.subject":
+      "स्वच्छसाथीमध्ये आपले स्वागत आहे - कर्मचारी खाते तयार झाले",
+    "email.workerWelcome.heading": "स्वच्छसाथीमध्ये आपले स्वागत आहे!",
+    "email.workerWelcome.greeting": "नमस्कार {name},",
+    "email.workerWelcome.created":
+      "तुमचे कर्मचारी खाते यशस्वीरित्या तयार झाले आहे.",
+    "email.workerWelcome.email": "ईमेल",
+    "email.workerWelcome.setup":
+      "तुमचे खाते सक्रिय करण्यासाठी पासवर्ड सेट करा. ही लिंक {hours} तासांत कालबाह्य होईल.",
+    "email.workerWelcome.button": "माझे खाते सेट करा",
+    "email.reportAssigned.subject": "नवीन {category} काम सोपवले",
+    "email.reportAssigned.heading": "नवीन काम सोपवले",
+    "email.reportAssigned.greeting": "नमस्कार {name},",
+    "email.reportAssigned.body":
+      "तुम्हाला नवीन {category} काम सोपवले आहे. तीव्रता: {severity}",
+    "email.reportAssigned.address": "ठिकाण",
+    "email.reportAssigned.accept":
+      "कृपया {minutes} मिनिटांत स्वच्छसाथी ॲप उघडून ते स्वीकारा किंवा नाकारा.",
+    "email.reportResolved.subject": "तुमच्या तक्रारीचे निराकरण झाले",
+    "email.reportResolved.heading": "तक्रारीचे निराकरण झाले",
+    "email.reportResolved.greeting": "नमस्कार {name},",
+    "email.reportResolved.body":
+      "तुमच्या {category} तक्रारीचे यशस्वीरित्या निराकरण झाले आहे. आपला परिसर स्वच्छ ठेवल्याबद्दल धन्यवाद!",
+  },
+};
+
+/**
+ * Map a locale such as "hi-IN" onto a supported language, defaulting to
+ * English
+ */
+function normalizeLocale(locale) {
+  const language = String(locale || "")
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : "en";
+}
+
+/**
+ * Render a catalog message in the given locale, falling back to English
+ */
+function t(locale, key, params = {}) {
+  const template =
+    MESSAGES[normalizeLocale(locale)][key] ?? MESSAGES.en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? String(params[name]) : match
+  );
+}
+
+/**
+ * Preferred locale of a user, from users.locale
+ */
+function getUserLocale(userData) {
+  return normalizeLocale(userData?.locale);
+}
+
+/**
+ * Locale for a callable response: an explicit data.locale wins, then the
+ * caller's saved preference
+ */
+async function getRequestLocale(request) {
+  if (request.data?.locale) {
+    return normalizeLocale(request.data.locale);
+  }
+  if (!request.auth) {
+    return "en";
+  }
+  const userDoc = await admin
+    .firestore()
+    .collection("users")
+    .doc(request.auth.uid)
+    .get();
+  return getUserLocale(userDoc.data());
+}
+
+/**
+ * A taxonomy category field (name, recyclingInfo, disposalMethod) in the
+ * given locale, falling back to the English value
+ */
+function localizeCategory(category, locale, field) {
+  return (
+    category.translations?.[normalizeLocale(locale)]?.[field] ||
+    category[field]
+  );
+}
+
+/**
+ * Save the caller's preferred language for responses, pushes and emails
+ */
+exports.setPreferredLocale = onCall(async (request) => {
+  try {
+    requireRole(request);
+
+    const { locale } = request.data;
+
+    if (!SUPPORTED_LOCALES.includes(locale)) {
+      throw new Error(
+        `locale must be one of: ${SUPPORTED_LOCALES.join(", ")}`
+      );
+    }
+
+    await admin.firestore().collection("users").doc(request.auth.uid).update({
+      locale,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return {
+      success: true,
+      locale,
+    };
+  } catch (error) {
+    logger.error("Set preferred locale error:", error);
+    throw new Error(error.message);
+  }
+});
+
+// Retry schedule for mailOutbox messages that fail to send
+const MAIL_MAX_ATTEMPTS = 5;
+const MAIL_RETRY_BASE_MINUTES = 2;
+
+// How long a send may take before its "sending" claim lapses and the
+// message is retried, well past the function timeout
+const MAIL_SEND_LEASE_MINUTES = 10;
+
+// How long mailOutbox and mailCapture documents are kept (via Firestore
+// TTL policies on expiresAt), since they can hold invite links
+const MAIL_RETENTION_DAYS = 30;
+
+/**
+ * expiresAt for a mailOutbox or mailCapture document
+ */
+function getMailExpiresAt() {
+  return admin.firestore.Timestamp.fromMillis(
+    Date.now() + MAIL_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  );
+}
+
+/**
+ * Escape a value for use in email HTML
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Shared email layout. blocks are { text, label?, link? } rendered in
+ * order under the heading; returns the HTML and plain text bodies.
+ */
+function renderMailLayout(heading, blocks) {
+  const htmlBlocks = blocks.map((block) => {
+    if (block.link) {
+      return `<p><a href="${escapeHtml(block.link)}">${escapeHtml(block.text)}</a></p>`;
+    }
+    if (block.label) {
+      return `<p><strong>${escapeHtml(block.label)}:</strong> ${escapeHtml(block.text)}</p>`;
+    }
+    return `<p>${escapeHtml(block.text)}</p>`;
+  });
+
+  const textBlocks = blocks.map((block) => {
+    if (block.link) {
+      return `${block.text}: ${block.link}`;
+    }
+    return block.label ? `${block.label}: ${block.text}` : block.text;
+  });
+
+  return {
+    html: `
+      <div style="font-family: Arial; max-width: 600px;">
+        <h2>${escapeHtml(heading)}</h2>
+        ${htmlBlocks.join("\n        ")}
+      </div>
+    `,
+    text: [heading, ...textBlocks].join("\n\n"),
+  };
+}
+
+// Named email templates. Bump a template's version when its content
+// changes; the version used is recorded on each mailOutbox message.
+// render(locale, data) returns { subject, html, text }.
+const MAIL_TEMPLATES = {
+  workerInvite: {
+    version: 2,
+    render: (locale, data) => ({
+      subject: t(locale, "email.workerWelcome.subject"),
+      ...renderMailLayout(t(locale, "email.workerWelcome.heading"), [
+        { text: t(locale, "email.workerWelcome.greeting", data) },
+        { text: t(locale, "email.workerWelcome.created") },
+        { label: t(locale, "email.workerWelcome.email"), text: data.email },
+        { text: t(locale, "email.workerWelcome.setup", data) },
+        { text: t(locale, "email.workerWelcome.button"), link: data.link },
+      ]),
+    }),
+  },
+  reportAssigned: {
+    version: 1,
+    render: (locale, data) => ({
+      subject: t(locale, "email.reportAssigned.subject", data),
+      ...renderMailLayout(t(locale, "email.reportAssigned.heading"), [
+        { text: t(locale, "email.reportAssigned.greeting", data) },
+        { text: t(locale, "email.reportAssigned.body", data) },
+        ...(data.address
+          ? [
+              {
+                label: t(locale, "email.reportAssigned.address"),
+                text: data.address,
+              },
+            ]
+          : []),
+        { text: t(locale, "email.reportAssigned.accept", data) },
+      ]),
+    }),
+  },
+  reportResolved: {
+    version: 1,
+    render: (locale, data) => ({
+      subject: t(locale, "email.reportResolved.subject"),
+      ...renderMailLayout(t(locale, "email.reportResolved.heading"), [
+        { text: t(locale, "email.reportResolved.greeting", data) },
+        { text: t(locale, "email.reportResolved.body", data) },
+      ]),
+    }),
+  },
+};
+
+// Mail transports, selected by MAIL_TRANSPORT. Each returns an object with
+// nodemailer's sendMail(message).
+const MAIL_TRANSPORTS = {
+  gmail: () =>
+    nodemailer.createTransport({
+      service: "gmail",
+      auth: {
+        user: GMAIL_EMAIL.value(),
+        pass: GMAIL_APP_PASSWORD.value(),
+      },
+    }),
+  smtp: () =>
+    nodemailer.createTransport({
+      host: SMTP_HOST.value(),
+      port: SMTP_PORT.value(),
+      secure: SMTP_PORT.value() === 465,
+      auth: SMTP_USER.value()
+        ? { user: SMTP_USER.value(), pass: SMTP_PASSWORD.value() }
+        : undefined,
+    }),
+  capture: () => ({
+    sendMail: async (message) => {
+      const captured = await admin
+        .firestore()
+        .collection("mailCapture")
+        .add({
+          ...message,
+          capturedAt: admin.firestore.FieldValue.serverTimestamp(),
+          expiresAt: getMailExpiresAt(),
+        });
+      return { messageId: `capture-${captured.id}` };
+    },
+  }),
+};
+
+/**
+ * Sender address: MAIL_FROM, or the Gmail account
+ */
+function getMailFrom() {
+  return MAIL_FROM.value() || `SwachhSathi <${GMAIL_EMAIL.value()}>`;
+}
+
+/**
+ * Queue an email in mailOutbox for processMailOutbox to send. data holds
+ * the template's parameters; locale picks the language.
+ */
+async function queueMail({ to, template, locale, data = {} }) {
+  if (!MAIL_TEMPLATES[template]) {
+    throw new Error(`Unknown mail template: ${template}`);
+  }
+  if (!to) {
+    throw new Error("Mail recipient is required");
+  }
+
+  const mailRef = await admin
+    .firestore()
+    .collection("mailOutbox")
+    .add({
+      to,
+      template,
+      locale: normalizeLocale(locale),
+      data,
+      status: "pending",
+      attempts: 0,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: getMailExpiresAt(),
+    });
+
+  return mailRef.id;
+}
+
+/**
+ * Send one mailOutbox message. Claims it first, for MAIL_SEND_LEASE_MINUTES,
+ * so the trigger and the retry job can't both send it; a claim left by a
+ * crashed send lapses and the message is retried. Failures are rescheduled
+ * with backoff until MAIL_MAX_ATTEMPTS, then marked failed.
+ */
+async function deliverMail(mailRef) {
+  const mail = await admin.firestore().runTransaction(async (tx) => {
+    const mailDoc = await tx.get(mailRef);
+    const data = mailDoc.data();
+
+    const leaseExpired =
+      data?.status === "sending" &&
+      data.leaseExpiresAt &&
+      data.leaseExpiresAt.toMillis() <= Date.now();
+
+    if (
+      !mailDoc.exists ||
+      (!["pending", "retry"].includes(data.status) && !leaseExpired)
+    ) {
+      return null;
+    }
+
+    // Attempts are counted when claimed, so crashed sends count too
+    const attempts = (data.attempts || 0) + 1;
+
+    if (attempts > MAIL_MAX_ATTEMPTS) {
+      tx.update(mailRef, {
+        status: "failed",
+        data: admin.firestore.FieldValue.delete(),
+        lastError: "Send did not finish",
+        leaseExpiresAt: null,
+        nextAttemptAt: null,
+      });
+      return null;
+    }
+
+    tx.update(mailRef, {
+      status: "sending",
+      attempts,
+      leaseExpiresAt: admin.firestore.Timestamp.fromMillis(
+        Date.now() + MAIL_SEND_LEASE_MINUTES * 60 * 1000
+      ),
+    });
+    return { ...data, attempts };
+  });
+
+  if (!mail) {
+    return;
+  }
+
+  const template = MAIL_TEMPLATES[mail.template];
+  const transport = MAIL_TRANSPORT.value();
+  const { attempts } = mail;
+
+  try {
+    if (!template) {
+      throw new Error(`Unknown mail template: ${mail.template}`);
+    }
+    if (!MAIL_TRANSPORTS[transport]) {
+      throw new Error(`Unknown mail transport: ${transport}`);
+    }
+
+    const { subject, html, text } = template.render(mail.locale, mail.data);
+    const info = await MAIL_TRANSPORTS[transport]().sendMail({
+      from: getMailFrom(),
+      to: mail.to,
+      subject,
+      html,
+      text,
+    });
+
+    // Template data can hold secrets such as invite links, so it is
+    // dropped once the message is sent
+    await mailRef.update({
+      status: "sent",
+      subject,
+      templateVersion: template.version,
+      transport,
+      messageId: info?.messageId || null,
+      data: admin.firestore.FieldValue.delete(),
+      lastError: null,
+      leaseExpiresAt: null,
+      sentAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    logger.info(`Mail ${mailRef.id} (${mail.template}) sent via ${transport}`);
+  } catch (error) {
+    const failed = attempts >= MAIL_MAX_ATTEMPTS;
+    const delayMinutes = MAIL_RETRY_BASE_MINUTES * 2 ** (attempts - 1);
+
+    // Failed messages won't be sent, so their data goes too
+    await mailRef.update({
+      status: failed ? "failed" : "retry",
+      ...(failed ? { data: admin.firestore.FieldValue.delete() } : {}),
+      lastError: error.message,
+      leaseExpiresAt: null,
+      nextAttemptAt: failed
+        ? null
+        : admin.firestore.Timestamp.fromMillis(
+            Date.now() + delayMinutes * 60 * 1000
+          ),
+    });
+
+    logger.error(
+      `Mail ${mailRef.id} attempt ${attempts} failed` +
+        (failed ? ", giving up" : `, retrying in ${delayMinutes} minutes`),
+      error
+    );
+  }
+}
+
+/**
+ * Send mail as soon as it is queued
+ */
+exports.processMailOutbox = onDocumentCreated(
+  {
+    document: "mailOutbox/{mailId}",
+    secrets: MAIL_SECRETS,
+  },
+  async (event) => {
+    await deliverMail(event.data.ref);
+    return null;
+  }
+);
+
+/**
+ * Retry mailOutbox messages whose earlier attempt failed, or whose send
+ * never finished
+ */
+exports.retryMailOutbox = onSchedule(
+  {
+    schedule: "every 5 minutes",
+    secrets: MAIL_SECRETS,
+  },
+  async () => {
+    const now = admin.firestore.Timestamp.now();
+    const outboxRef = admin.firestore().collection("mailOutbox");
+
+    const [dueSnap, staleSnap] = await Promise.all([
+      outboxRef
+        .where("status", "==", "retry")
+        .where("nextAttemptAt", "<=", now)
+        .limit(50)
+        .get(),
+      outboxRef
+        .where("status", "==", "sending")
+        .where("leaseExpiresAt", "<=", now)
+        .limit(50)
+        .get(),
+    ]);
+
+    for (const mailDoc of [...dueSnap.docs, ...staleSnap.docs]) {
+      await deliverMail(mailDoc.ref);
+    }
+  }
+);
+
+/**
+ * Email address for a user: their profile's email, or their Auth account's
+ */
+async function getUserEmail(userId, userData) {
+  if (userData?.email) {
+    return userData.email;
+  }
+
+  try {
+    return (await admin.auth().getUser(userId)).email || null;
+  } catch (error) {
+    if (error.code === "auth/user-not-found") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Built-in waste taxonomy, used until the taxonomy collection is seeded.
+// keywords are matched against Vision labels, synonyms map alternative
+// names (e.g. from NGO category lists) onto the category. reportable
+// categories are used for report classification and NGO matching,
+// scannable ones by analyzeWasteImage (first match in order wins).
+// scanKeywords are extra labels only analyzeWasteImage matches, for things
+// that are waste when scanned but too common to report as garbage.
+// verificationKeywords are counted by compareBeforeAfter, as garbage or,
+// for indicatesClean categories, as signs of a clean area. translations
+// hold the name and guidance per locale. slaHours optionally overrides
+// DEFAULT_SLA_HOURS per severity.
+const DEFAULT_TAXONOMY = [
+  {
+    name: "Dead Animals",
+    keywords: [
+      "animal",
+      "dead",
+      "carcass",
+      "corpse",
+      "pet",
+      "wildlife",
+      "bird",
+      "dog",
+      "cat",
+    ],
+    synonyms: ["Animal Carcass"],
+    severityHint: "High",
+    slaHours: { High: 6, Medium: 12, Low: 24 },
+    wasteClass: "hazardous",
+    recyclingInfo:
+      "Animal carcasses spread disease and must be handled by trained staff.",
+    disposalMethod:
+      "Do not touch the carcass. Report it so the municipal team can remove it safely.",
+    reportable: true,
+    scannable: false,
+    order: 1,
+    translations: {
+      hi: { name: "मृत पशु" },
+      mr: { name: "मृत प्राणी" },
+    },
+  },
+  {
+    name: "Garbage Collection",
+    keywords: [
+      "garbage",
+      "trash",
+      "waste",
+      "litter",
+      "rubbish",
+      "debris",
+      "dump",
+      "refuse",
+    ],
+    synonyms: ["Garbage", "Trash", "Litter"],
+    verificationKeywords: [
+      "waste",
+      "garbage",
+      "trash",
+      "litter",
+      "rubbish",
+      "debris",
+      "pollution",
+    ],
+    severityHint: "Medium",
+    wasteClass: "general",
+    // Used when a classifier can't place garbage in a specific category
+    fallback: true,
+    recyclingInfo:
+      "Mixed garbage should be segregated into wet and dry waste before collection.",
+    disposalMethod:
+      "Bag the waste and hand it to the door-to-door collection service or place it in a community bin.",
+    reportable: true,
+    scannable: false,
+    order: 2,
+    translations: {
+      hi: { name: "कचरा संग्रह" },
+      mr: { name: "कचरा संकलन" },
+    },
+  },
+  {
+    name: "Clean Public Space",
+    keywords: [
+      "public",
+      "space",
+      "area",
+      "park",
+      "street",
+      "road",
+      "sidewalk",
+      "pathway",
+    ],
+    synonyms: [],
+    verificationKeywords: [
+      "clean",
+      "tidy",
+      "neat",
+      "organized",
+      "clear",
+      "empty",
+    ],
+    indicatesClean: true,
+    severityHint: "Low",
+    wasteClass: "general",
+    recyclingInfo: "Keep public spaces clean by using the nearest dustbin.",
+    disposalMethod: "Use the nearest public dustbin for any litter.",
+    reportable: true,
+    scannable: false,
+    order: 3,
+    translations: {
+      hi: { name: "स्वच्छ सार्वजनिक स्थान" },
+      mr: { name: "स्वच्छ सार्वजनिक जागा" },
+    },
+  },
+  {
+    name: "Overflowing Dustbins",
+    keywords: [
+      "dustbin",
+      "bin",
+      "overflow",
+      "overflowing",
+      "full",
+      "container",
+      "dumpster",
+      "trash can",
+    ],
+    synonyms: ["Overflowing Bin", "Full Dustbin"],
+    severityHint: "Medium",
+    wasteClass: "general",
+    recyclingInfo:
+      "Overflowing bins attract animals and spread waste. Report them early.",
+    disposalMethod:
+      "Avoid adding more waste to a full bin. Use another bin nearby or keep the waste until collection.",
+    reportable: true,
+    scannable: false,
+    order: 4,
+    translations: {
+      hi: { name: "भरे हुए कूड़ेदान" },
+      mr: { name: "भरून वाहणाऱ्या कचराकुंड्या" },
+    },
+  },
+  {
+    name: "Construction Waste",
+    keywords: [
+      "construction",
+      "debris",
+      "concrete",
+      "brick",
+      "cement",
+      "rubble",
+      "building material",
+      "demolition",
+    ],
+    synonyms: ["C&D Waste", "Debris", "Rubble"],
+    severityHint: "Medium",
+    wasteClass: "general",
+    recyclingInfo:
+      "Construction and demolition waste can be crushed and reused as aggregate.",
+    disposalMethod:
+      "Arrange a bulk pickup or take it to a designated C&D waste processing site. Do not dump it on roadsides.",
+    reportable: true,
+    scannable: false,
+    order: 5,
+    translations: {
+      hi: { name: "निर्माण मलबा" },
+      mr: { name: "बांधकाम कचरा" },
+    },
+  },
+  {
+    name: "Plastic Waste",
+    keywords: [
+      "plastic",
+      "bottle",
+      "bag",
+      "container",
+      "packaging",
+      "wrapper",
+      "polythene",
+      "styrofoam",
+    ],
+    synonyms: ["Plastic"],
+    verificationKeywords: ["plastic", "bottle", "bag", "wrapper", "container"],
+    severityHint: "Medium",
+    wasteClass: "recyclable",
+    recyclingInfo:
+      "Most plastic bottles and containers (labeled #1-7) are recyclable. Check your local recycling guidelines for specific types accepted.",
+    disposalMethod:
+      "Rinse the plastic item, remove caps/lids, and place in your recycling bin. Look for the recycling symbol and number on the bottom.",
+    reportable: true,
+    scannable: true,
+    order: 6,
+    translations: {
+      hi: {
+        name: "प्लास्टिक कचरा",
+        recyclingInfo:
+          "अधिकांश प्लास्टिक बोतलें और डिब्बे (#1-7 चिह्नित) रीसायकल हो सकते हैं। स्वीकार किए जाने वाले प्रकारों के लिए स्थानीय रीसाइक्लिंग नियम देखें।",
+        disposalMethod:
+          "प्लास्टिक की वस्तु को धोएँ, ढक्कन हटाएँ और रीसाइक्लिंग डिब्बे में डालें। नीचे रीसाइक्लिंग चिह्न और नंबर देखें।",
+      },
+      mr: {
+        name: "प्लास्टिक कचरा",
+        recyclingInfo:
+          "बहुतेक प्लास्टिक बाटल्या आणि डबे (#1-7 चिन्हांकित) पुनर्वापरयोग्य असतात. स्वीकारल्या जाणाऱ्या प्रकारांसाठी स्थानिक पुनर्वापर नियम तपासा.",
+        disposalMethod:
+          "प्लास्टिकची वस्तू धुवा, झाकण काढा आणि पुनर्वापर डब्यात टाका. तळाशी पुनर्वापर चिन्ह आणि क्रमांक पहा.",
+      },
+    },
+  },
+  {
+    name: "Paper/Cardboard",
+    keywords: ["paper", "cardboard", "box", "newspaper", "magazine"],
+    synonyms: ["Paper", "Cardboard"],
+    severityHint: "Low",
+    wasteClass: "recyclable",
+    recyclingInfo:
+      "Paper and cardboard are highly recyclable materials. Keep them dry and clean for optimal recycling.",
+    disposalMethod:
+      "Flatten cardboard boxes, remove any plastic tape or labels, and place in your recycling bin. Avoid soiled or greasy paper.",
+    reportable: false,
+    scannable: true,
+    order: 7,
+    translations: {
+      hi: {
+        name: "कागज़/गत्ता",
+        recyclingInfo:
+          "कागज़ और गत्ता आसानी से रीसायकल होने वाली सामग्री हैं। बेहतर रीसाइक्लिंग के लिए इन्हें सूखा और साफ़ रखें।",
+        disposalMethod:
+          "गत्ते के डिब्बों को चपटा करें, प्लास्टिक टेप या लेबल हटाएँ और रीसाइक्लिंग डिब्बे में डालें। गंदा या तैलीय कागज़ न डालें।",
+      },
+      mr: {
+        name: "कागद/पुठ्ठा",
+        recyclingInfo:
+          "कागद आणि पुठ्ठा सहज पुनर्वापर होणारे साहित्य आहे. चांगल्या पुनर्वापरासाठी ते कोरडे आणि स्वच्छ ठेवा.",
+        disposalMethod:
+          "पुठ्ठ्याचे खोके सपाट करा, प्लास्टिक टेप किंवा लेबल काढा आणि पुनर्वापर डब्यात टाका. खराब किंवा तेलकट कागद टाळा.",
+      },
+    },
+  },
+  {
+    name: "Glass",
+    keywords: ["glass", "jar", "bottle", "wine"],
+    synonyms: [],
+    severityHint: "Medium",
+    wasteClass: "recyclable",
+    recyclingInfo:
+      "Glass is 100% recyclable and can be recycled endlessly without loss of quality or purity.",
+    disposalMethod:
+      "Rinse glass containers, remove caps/lids, and place in your recycling bin. Some areas require color separation.",
+    reportable: false,
+    scannable: true,
+    order: 8,
+    translations: {
+      hi: {
+        name: "काँच",
+        recyclingInfo:
+          "काँच 100% रीसायकल होता है और गुणवत्ता खोए बिना बार-बार रीसायकल किया जा सकता है।",
+        disposalMethod:
+          "काँच के डिब्बों को धोएँ, ढक्कन हटाएँ और रीसाइक्लिंग डिब्बे में डालें। कुछ क्षेत्रों में रंग के अनुसार अलग करना ज़रूरी है।",
+      },
+      mr: {
+        name: "काच",
+        recyclingInfo:
+          "काच 100% पुनर्वापरयोग्य आहे आणि गुणवत्ता न गमावता पुन्हा पुन्हा पुनर्वापर करता येते.",
+        disposalMethod:
+          "काचेचे डबे धुवा, झाकण काढा आणि पुनर्वापर डब्यात टाका. काही भागांत रंगानुसार वेगळे करणे आवश्यक असते.",
+      },
+    },
+  },
+  {
+    name: "Metal",
+    keywords: ["metal", "aluminum", "can", "tin", "steel"],
+    synonyms: ["Scrap Metal"],
+    severityHint: "Low",
+    wasteClass: "recyclable",
+    recyclingInfo:
+      "Metal cans (aluminum and steel) are highly valuable recyclable materials.",
+    disposalMethod:
+      "Rinse cans, crush to save space, and place in recycling bin. Metal foil and trays are also recyclable.",
+    reportable: false,
+    scannable: true,
+    order: 9,
+    translations: {
+      hi: {
+        name: "धातु",
+        recyclingInfo:
+          "धातु के डिब्बे (एल्युमिनियम और स्टील) बहुत मूल्यवान रीसायकल होने वाली सामग्री हैं।",
+        disposalMethod:
+          "डिब्बों को धोएँ, जगह बचाने के लिए दबाएँ और रीसाइक्लिंग डिब्बे में डालें। धातु की फॉइल और ट्रे भी रीसायकल होती हैं।",
+      },
+      mr: {
+        name: "धातू",
+        recyclingInfo:
+          "धातूचे डबे (ॲल्युमिनियम आणि स्टील) अतिशय मौल्यवान पुनर्वापरयोग्य साहित्य आहे.",
+        disposalMethod:
+          "डबे धुवा, जागा वाचवण्यासाठी दाबा आणि पुनर्वापर डब्यात टाका. धातूची फॉइल आणि ट्रे देखील पुनर्वापरयोग्य आहेत.",
+      },
+    },
+  },
+  {
+    name: "Organic Waste",
+    keywords: [
+      "food",
+      "organic",
+      "vegetable",
+      "fruit",
+      "leftover",
+      "rotten",
+      "compost",
+      "biodegradable",
+    ],
+    // Vegetation is in most street photos, so it only counts for scans
+    scanKeywords: ["plant", "leaf"],
+    synonyms: ["Wet Waste", "Food Waste"],
+    severityHint: "Medium",
+    wasteClass: "biodegradable",
+    recyclingInfo:
+      "Organic waste can be composted to create nutrient-rich soil and reduce methane emissions from landfills.",
+    disposalMethod:
+      "Compost at home or use green waste bins. Avoid meat, dairy, and oily foods in home composting.",
+    reportable: true,
+    scannable: true,
+    order: 10,
+    translations: {
+      hi: {
+        name: "जैविक कचरा",
+        recyclingInfo:
+          "जैविक कचरे से खाद बनाकर उपजाऊ मिट्टी तैयार की जा सकती है और लैंडफिल से मीथेन उत्सर्जन कम होता है।",
+        disposalMethod:
+          "घर पर खाद बनाएँ या हरे कचरे के डिब्बे का उपयोग करें। घरेलू खाद में मांस, डेयरी और तैलीय भोजन न डालें।",
+      },
+      mr: {
+        name: "जैविक कचरा",
+        recyclingInfo:
+          "जैविक कचऱ्यापासून कंपोस्ट करून सुपीक माती तयार करता येते आणि कचराभूमीतून होणारे मिथेन उत्सर्जन कमी होते.",
+        disposalMethod:
+          "घरी कंपोस्ट करा किंवा हिरव्या कचरा डब्याचा वापर करा. घरगुती कंपोस्टमध्ये मांस, दुग्धजन्य आणि तेलकट पदार्थ टाळा.",
+      },
+    },
+  },
+  {
+    name: "Electronic Waste",
+    keywords: ["electronic", "phone", "computer", "battery", "gadget", "device"],
+    synonyms: ["E-Waste"],
+    severityHint: "High",
+    wasteClass: "hazardous",
+    recyclingInfo:
+      "E-waste contains valuable materials and hazardous substances. Never throw electronics in regular trash.",
+    disposalMethod:
+      "Take to designated e-waste collection centers or retailer take-back programs. Delete personal data first.",
+    reportable: false,
+    scannable: true,
+    order: 11,
+    translations: {
+      hi: {
+        name: "इलेक्ट्रॉनिक कचरा",
+        recyclingInfo:
+          "ई-कचरे में मूल्यवान सामग्री और खतरनाक पदार्थ होते हैं। इलेक्ट्रॉनिक सामान को कभी भी सामान्य कचरे में न फेंकें।",
+        disposalMethod:
+          "निर्धारित ई-कचरा संग्रह केंद्रों या विक्रेता वापसी कार्यक्रमों में ले जाएँ। पहले अपना निजी डेटा हटा दें।",
+      },
+      mr: {
+        name: "इलेक्ट्रॉनिक कचरा",
+        recyclingInfo:
+          "ई-कचऱ्यात मौल्यवान साहित्य आणि घातक पदार्थ असतात. इलेक्ट्रॉनिक वस्तू कधीही सामान्य कचऱ्यात टाकू नका.",
+        disposalMethod:
+          "ठरवलेल्या ई-कचरा संकलन केंद्रांवर किंवा विक्रेत्यांच्या परत-घेण्याच्या योजनांमध्ये द्या. आधी तुमचा वैयक्तिक डेटा हटवा.",
+      },
+    },
+  },
+  {
+    name: "Batteries",
+    keywords: ["battery", "batteries", "cell"],
+    synonyms: [],
+    severityHint: "High",
+    wasteClass: "hazardous",
+    recyclingInfo:
+      "Batteries contain toxic materials and must be recycled properly to prevent environmental contamination.",
+    disposalMethod:
+      "Take to battery collection points at retail stores or hazardous waste facilities. Never throw in regular trash.",
+    reportable: false,
+    scannable: true,
+    order: 12,
+    translations: {
+      hi: {
+        name: "बैटरियाँ",
+        recyclingInfo:
+          "बैटरियों में ज़हरीले पदार्थ होते हैं और पर्यावरण प्रदूषण रोकने के लिए इन्हें सही तरीके से रीसायकल करना ज़रूरी है।",
+        disposalMethod:
+          "दुकानों के बैटरी संग्रह केंद्रों या खतरनाक कचरा सुविधाओं में ले जाएँ। कभी भी सामान्य कचरे में न फेंकें।",
+      },
+      mr: {
+        name: "बॅटऱ्या",
+        recyclingInfo:
+          "बॅटऱ्यांमध्ये विषारी पदार्थ असतात आणि पर्यावरण प्रदूषण टाळण्यासाठी त्यांचा योग्य पुनर्वापर आवश्यक आहे.",
+        disposalMethod:
+          "दुकानांतील बॅटरी संकलन केंद्रांवर किंवा घातक कचरा केंद्रांवर द्या. कधीही सामान्य कचऱ्यात टाकू नका.",
+      },
+    },
+  },
+  {
+    name: "Textiles",
+    keywords: ["textile", "fabric", "clothing", "cloth", "shirt", "pants"],
+    synonyms: ["Clothes"],
+    severityHint: "Low",
+    wasteClass: "recyclable",
+    recyclingInfo:
+      "Textiles can be donated, recycled, or repurposed to reduce landfill waste.",
+    disposalMethod:
+      "Donate wearable clothing to charity, use textile recycling bins for damaged items, or repurpose as cleaning rags.",
+    reportable: false,
+    scannable: true,
+    order: 13,
+    translations: {
+      hi: {
+        name: "कपड़ा",
+        recyclingInfo:
+          "कपड़ों को दान, रीसायकल या दोबारा उपयोग करके लैंडफिल कचरा कम किया जा सकता है।",
+        disposalMethod:
+          "पहनने योग्य कपड़े दान करें, फटे कपड़ों के लिए टेक्सटाइल रीसाइक्लिंग डिब्बे का उपयोग करें या उन्हें सफाई के कपड़े के रूप में इस्तेमाल करें।",
+      },
+      mr: {
+        name: "कापड",
+        recyclingInfo:
+          "कपडे दान करून, पुनर्वापर करून किंवा पुन्हा वापरून कचराभूमीतील कचरा कमी करता येतो.",
+        disposalMethod:
+          "वापरण्याजोगे कपडे दान करा, फाटलेल्या कपड्यांसाठी कापड पुनर्वापर डबे वापरा किंवा ते स्वच्छतेसाठी फडकी म्हणून वापरा.",
+      },
+    },
+  },
+  {
+    name: "Drain Cleaning",
+    keywords: [
+      "drain",
+      "sewer",
+      "gutter",
+      "manhole",
+      "drainage",
+      "blocked",
+      "clogged",
+      "water",
+    ],
+    synonyms: ["Blocked Drain"],
+    severityHint: "High",
+    wasteClass: "general",
+    recyclingInfo:
+      "Blocked drains cause flooding and mosquito breeding. Never throw waste into drains.",
+    disposalMethod:
+      "Do not open manholes yourself. Report the blockage for the municipal drain cleaning team.",
+    reportable: true,
+    scannable: false,
+    order: 14,
+    translations: {
+      hi: { name: "नाली सफाई" },
+      mr: { name: "गटार स्वच्छता" },
+    },
+  },
+  {
+    name: "General Waste",
+    keywords: [],
+    synonyms: [],
+    severityHint: "Low",
+    wasteClass: "general",
+    recyclingInfo:
+      "This item appears to be general waste. Check if any parts can be separated and recycled.",
+    disposalMethod:
+      "Place in general waste bin. Consider if any components can be separated for recycling.",
+    reportable: false,
+    scannable: false,
+    order: 99,
+    translations: {
+      hi: {
+        name: "सामान्य कचरा",
+        recyclingInfo:
+          "यह वस्तु सामान्य कचरा लगती है। देखें कि क्या इसके कुछ हिस्से अलग करके रीसायकल किए जा सकते हैं।",
+        disposalMethod:
+          "सामान्य कचरे के डिब्बे में डालें। देखें कि क्या कोई हिस्सा रीसाइक्लिंग के लिए अलग किया जा सकता है।",
+      },
+      mr: {
+        name: "सामान्य कचरा",
+        recyclingInfo:
+          "ही वस्तू सामान्य कचरा वाटते. तिचे काही भाग वेगळे करून पुनर्वापर करता येतील का ते तपासा.",
+        disposalMethod:
+          "सामान्य कचरा डब्यात टाका. काही भाग पुनर्वापरासाठी वेगळे करता येतील का याचा विचार करा.",
+      },
+    },
+  },
+];
+
+// How long each instance reuses the taxonomy before reloading it
+const TAXONOMY_CACHE_TTL_MS = 5 * 60 * 1000;
+
+let taxonomyCache = null;
+let taxonomyCachedAt = 0;
+
+/**
+ * Firestore document ID for a category name, e.g. "Paper/Cardboard" ->
+ * "paper-cardboard"
+ */
+function getTaxonomyId(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * Load the active taxonomy categories sorted by order, cached per instance.
+ * Falls back to DEFAULT_TAXONOMY while the collection is empty.
+ */
+async function getTaxonomy() {
+  if (taxonomyCache && Date.now() - taxonomyCachedAt < TAXONOMY_CACHE_TTL_MS) {
+    return taxonomyCache;
+  }
+
+  const snap = await admin.firestore().collection("taxonomy").get();
+  const categories = snap.empty
+    ? DEFAULT_TAXONOMY
+    : snap.docs.map((doc) => doc.data());
+
+  taxonomyCache = categories
+    .filter((category) => category.active !== false)
+    .map((category) => ({
+      ...category,
+      keywords: (category.keywords || []).map((k) => k.toLowerCase()),
+      scanKeywords: (category.scanKeywords || []).map((k) => k.toLowerCase()),
+      synonyms: category.synonyms || [],
+      verificationKeywords: (category.verificationKeywords || []).map((k) =>
+        k.toLowerCase()
+      ),
+      translations: category.translations || {},
+    }))
+    .sort((a, b) => (a.order ?? 50) - (b.order ?? 50));
+  taxonomyCachedAt = Date.now();
+
+  return taxonomyCache;
+}
+
+/**
+ * Map a category name or synonym (any case) onto its taxonomy category
+ */
+function findTaxonomyCategory(taxonomy, name) {
+  if (!name) {
+    return null;
+  }
+  const wanted = name.toLowerCase();
+  return (
+    taxonomy.find(
+      (category) =>
+        category.name.toLowerCase() === wanted ||
+        category.synonyms.some((synonym) => synonym.toLowerCase() === wanted)
+    ) || null
+  );
+}
+
+/**
+ * All names a category may appear under in ngos.categories
+ */
+async function getCategoryAliases(name) {
+  const category = findTaxonomyCategory(await getTaxonomy(), name);
+  if (!category) {
+    return [name];
+  }
+  // array-contains-any accepts at most 30 values
+  return [category.name, ...category.synonyms].slice(0, 30);
+}
+
+/**
+ * Find the NGOs that handle a category under its name or any synonym
+ */
+async function findNgosForCategory(category) {
+  return admin
+    .firestore()
+    .collection("ngos")
+    .where(
+      "categories",
+      "array-contains-any",
+      await getCategoryAliases(category)
+    )
+    .get();
+}
+
+/**
+ * Add or update a taxonomy category (super admins only). Seeds the
+ * collection with the built-in taxonomy first if it is still empty, so the
+ * defaults aren't lost once the first custom category is written.
+ */
+exports.upsertTaxonomyCategory = onCall(async (request) => {
+  try {
+    requireRole(request, ["super_admin"]);
+
+    const { name } = request.data;
+
+    if (!name) {
+      throw new Error("name is required");
+    }
+
+    const taxonomyRef = admin.firestore().collection("taxonomy");
+    const existing = await taxonomyRef.limit(1).get();
+
+    if (existing.empty) {
+      const batch = admin.firestore().batch();
+      DEFAULT_TAXONOMY.forEach((category) => {
+        batch.set(taxonomyRef.doc(getTaxonomyId(category.name)), {
+          ...category,
+          active: true,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+      await batch.commit();
+      logger.info("Seeded taxonomy collection with built-in categories");
+    }
+
+    const id = getTaxonomyId(name);
+    const categoryRef = taxonomyRef.doc(id);
+
+    // New categories are reportable unless told otherwise
+    const update = (await categoryRef.get()).exists
+      ? { name }
+      : {
+          name,
+          keywords: [],
+          synonyms: [],
+          reportable: true,
+          scannable: false,
+          order: 50,
+          active: true,
+        };
+
+    const fields = [
+      "keywords",
+      "scanKeywords",
+      "synonyms",
+      "verificationKeywords",
+      "indicatesClean",
+      "severityHint",
+      "fallback",
+      "slaHours",
+      "wasteClass",
+      "recyclingInfo",
+      "disposalMethod",
+      "reportable",
+      "scannable",
+      "order",
+      "active",
+      "translations",
+    ];
+    fields.forEach((field) => {
+      if (request.data[field] !== undefined) {
+        update[field] = request.data[field];
+      }
+    });
+    update.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+
+    await categoryRef.set(update, { merge: true });
+
+    // Pick up the change on this instance right away
+    taxonomyCache = null;
+
+    logger.info(`Taxonomy category ${name} saved by ${request.auth.uid}`);
+
+    return {
+      success: true,
+      id,
+      message: "Taxonomy category saved",
+    };
+  } catch (error) {
+    logger.error("Upsert taxonomy category error:", error);
+    throw new Error(error.message);
+  }
+});
+
+/**
+ * Name of the reportable category to use when garbage doesn't match a
+ * specific one: the category marked fallback, else the built-in one if it
+ * is still reportable, else the first reportable category
+ */
+function getFallbackReportCategory(taxonomy) {
+  const reportable = taxonomy.filter((category) => category.reportable);
+  const builtIn = DEFAULT_TAXONOMY.find((category) => category.fallback);
+  const fallback =
+    reportable.find((category) => category.fallback) ||
+    reportable.find((category) => category.name === builtIn.name) ||
+    reportable[0];
+  return fallback ? fallback.name : null;
+}
+
+/**
+ * Reportable categories as { name: [keywords and synonyms] } for the image
+ * classification providers
+ */
+async function getReportCategoryKeywords() {
+  const categories = {};
+  (await getTaxonomy())
+    .filter((category) => category.reportable)
+    .forEach((category) => {
+      categories[category.name] = [
+        ...category.keywords,
+        ...category.synonyms.map((synonym) => synonym.toLowerCase()),
+      ];
+    });
+  return categories;
+}
+
+/**
+ * Image classification providers for analyzeGarbageImage. Each provider
+ * has a default timeout and a classify(imageUri, categories, locale,
+ * { signal, timeoutMs, fallbackCategory }) function, which should stop its
+ * requests when the signal aborts, and resolves to the common result schema
+ * (with the description in the given locale), using fallbackCategory for
+ * garbage that matches no category:
+ * { isGarbage, category, severity, confidence, description,
+ *   detectedLabels, objectCount }
+ * and throws when it cannot classify the image.
+ */
+const CLASSIFICATION_PROVIDERS = {
+  vision: {
+    timeoutMs: 10000,
+    classify: classifyWithVision,
+  },
+  gemini: {
+    timeoutMs: 20000,
+    classify: classifyWithGemini,
+  },
+  // Deterministic offline provider for tests and the emulator
+  stub: {
+    timeoutMs: 1000,
+    classify: classifyWithStub,
+  },
+};
+
+/**
+ * Classify an image with Google Vision labels and objects
+ */
+async function classifyWithVision(
+  imageUri,
+  categories,
+  locale,
+  { signal, timeoutMs, fallbackCategory } = {}
+) {
+  // Vision calls take a deadline rather than a signal
+  const callOptions = timeoutMs ? { timeout: timeoutMs } : undefined;
+  const [labelResult] = await client.labelDetection(imageUri, callOptions);
+  signal?.throwIfAborted();
+  const [objectResult] = await client.objectLocalization(
+    imageUri,
+    callOptions
+  );
+
+  const labels = labelResult.labelAnnotations || [];
+  const objects = objectResult.localizedObjectAnnotations || [];
+
+  let isGarbageDetected = false;
+  let category = fallbackCategory;
+  let maxScore = 0;
+  let detectedItems = [];
+
+  labels.forEach((label) => {
+    const desc = label.description.toLowerCase();
+    detectedItems.push(label.description);
+
+    Object.keys(categories).forEach((cat) => {
+      if (categories[cat].some((keyword) => desc.includes(keyword))) {
+        isGarbageDetected = true;
+        if (label.score > maxScore) {
+          maxScore = label.score;
+          category = cat;
+        }
+      }
+    });
+  });
+
+  if (!isGarbageDetected) {
+    return {
+      isGarbage: false,
+      category: null,
+      severity: null,
+      confidence: 0,
+      description: t(locale, "analysis.noGarbage"),
+      detectedLabels: detectedItems.slice(0, 5),
+      objectCount: 0,
+    };
+  }
+
+  const objectCount = objects.length;
+  const avgConfidence =
+    labels.reduce((sum, l) => sum + l.score, 0) / labels.length;
+
+  let severity = "Medium";
+  if (objectCount > 5 && avgConfidence > 0.8) severity = "High";
+  else if (objectCount <= 2 || avgConfidence < 0.5) severity = "Low";
+
+  const description = t(locale, "analysis.detected", {
+    labels: labels
+      .slice(0, 3)
+      .map((l) => l.description)
+      .join(", "),
+    count: objectCount,
+  });
+
+  return {
+    isGarbage: true,
+    category,
+    severity,
+    confidence: parseFloat(avgConfidence.toFixed(2)),
+    description,
+    detectedLabels: detectedItems.slice(0, 5),
+    objectCount,
+  };
+}
+
+/**
+ * Classify an image with Gemini AI
+ */
+async function classifyWithGemini(
+  imageUri,
+  categories,
+  locale,
+  { signal, fallbackCategory } = {}
+) {
+  // Convert Firebase Storage URL to base64
+  let base64Image = "";
+
+  if (imageUri.startsWith("http://") || imageUri.startsWith("https://")) {
+    // Fetch the image from URL and convert to base64
+    const imageResponse = await fetch(imageUri, { signal });
+    const imageBuffer = await imageResponse.arrayBuffer();
+    base64Image = Buffer.from(imageBuffer).toString("base64");
+  } else if (imageUri.includes("base64,")) {
+    // Already base64
+    base64Image = imageUri.split("base64,")[1];
+  } else {
+    // Assume it's already base64
+    base64Image = imageUri;
+  }
+
+  const categoryList = Object.keys(categories).join(", ");
+
+  const geminiResponse = await fetch(
+    `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL.value()}:generateContent?key=${GEMINI_API_KEY.value()}`,
+    {
+      method: "POST",
+      signal,
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        contents: [
+          {
+            parts: [
+              {
+                text: `Analyze this image and determine if it contains garbage or waste. You MUST classify it into EXACTLY ONE of these categories (use the exact name): ${categoryList}. 
+
+Also determine the severity (Low, Medium, High) based on the amount and type of waste:
+- High: Large amount of waste, overflowing, multiple types
+- Medium: Moderate amount of waste
+- Low: Small amount or minimal waste
+
+Provide a brief description of what you see in ${LANGUAGE_NAMES[locale]} and list the detected items. Keep the category and severity values in English exactly as listed.
+
+Respond ONLY with valid JSON in this exact format:
+{
+  "isGarbage": true or false,
+  "category": "exact category name from the list above",
+  "severity": "Low" or "Medium" or "High",
+  "description": "brief description of what you see",
+  "detectedItems": ["item1", "item2", "item3"],
+  "confidence": 0.0 to 1.0
+}`,
+              },
+              {
+                inlineData: {
+                  mimeType: "image/jpeg",
+                  data: base64Image,
+                },
+              },
+            ],
+          },
+        ],
+      }),
+    }
+  );
+
+  const geminiData = await geminiResponse.json();
+
+  if (geminiData.candidates && geminiData.candidates[0]) {
+    const textContent = geminiData.candidates[0].content.parts[0].text;
+
+    // Extract JSON from the response (handle markdown code blocks)
+    let jsonText = textContent;
+    if (textContent.includes("```json")) {
+      jsonText = textContent.split("```json")[1].split("```")[0].trim();
+    } else if (textContent.includes("```")) {
+      jsonText = textContent.split("```")[1].split("```")[0].trim();
+    }
+
+    const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      const result = JSON.parse(jsonMatch[0]);
+
+      // Validate category is in our list
+      const validCategories = Object.keys(categories);
+      if (!validCategories.includes(result.category)) {
+        result.category = fallbackCategory;
+      }
+
+      return {
+        isGarbage: result.isGarbage,
+        category: result.category,
+        severity: result.severity,
+        confidence: result.confidence || 0.85,
+        description: result.description,
+        detectedLabels: result.detectedItems || [],
+        objectCount: result.detectedItems?.length || 0,
+      };
+    }
+  }
+
+  throw new Error("Gemini response format invalid");
+}
+
+/**
+ * Deterministic classification that never leaves the process. Images whose
+ * URI mentions "clean" are not garbage; everything else is classified into
+ * the first category whose name or keywords appear in the URI, falling back
+ * to the taxonomy's fallback category.
+ */
+async function classifyWithStub(
+  imageUri,
+  categories,
+  locale,
+  { fallbackCategory } = {}
+) {
+  const uri = imageUri.toLowerCase();
+
+  if (uri.includes("clean")) {
+    return {
+      isGarbage: false,
+      category: null,
+      severity: null,
+      confidence: 0,
+      description: t(locale, "analysis.noGarbage"),
+      detectedLabels: [],
+      objectCount: 0,
+    };
+  }
+
+  const category =
+    Object.keys(categories).find(
+      (cat) =>
+        uri.includes(cat.toLowerCase()) ||
+        categories[cat].some((keyword) => uri.includes(keyword))
+    ) || fallbackCategory;
+
+  return {
+    isGarbage: true,
+    category,
+    severity: "Medium",
+    confidence: 0.5,
+    description: `Stub classification: ${category}.`,
+    detectedLabels: [category],
+    objectCount: 1,
+  };
+}
+
+/**
+ * Parse CLASSIFIER_PROVIDERS ("vision:10000,gemini") into an ordered list
+ * of { name, timeoutMs }. Unknown providers are skipped.
+ */
+function getProviderChain() {
+  return CLASSIFIER_PROVIDERS.value()
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, timeout] = entry.split(":");
+      return { name, timeoutMs: parseInt(timeout, 10) };
+    })
+    .filter(({ name }) => {
+      if (!CLASSIFICATION_PROVIDERS[name]) {
+        logger.warn(`Unknown classification provider: ${name}`);
+        return false;
+      }
+      return true;
+    })
+    .map(({ name, timeoutMs }) => ({
+      name,
+      timeoutMs: timeoutMs || CLASSIFICATION_PROVIDERS[name].timeoutMs,
+    }));
+}
+
+/**
+ * Run run(signal) and reject with a timeout error if it doesn't settle in
+ * time, aborting the signal so its requests are cancelled too
+ */
+function withTimeout(run, timeoutMs, label) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${timeoutMs} ms`);
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+  return Promise.race([run(controller.signal), timeout]).finally(() =>
+    clearTimeout(timer)
+  );
+}
+
+/**
+ * Run the configured providers in order until one classifies the image
+ * into a reportable taxonomy category. Returns the result with analyzedBy,
+ * the list of providers tried and category/severity labels in the locale.
+ */
+async function classifyGarbageImage(imageUri, locale) {
+  const taxonomy = await getTaxonomy();
+  const categories = await getReportCategoryKeywords();
+  const fallbackCategory = getFallbackReportCategory(taxonomy);
+  const providersTried = [];
+
+  for (const { name, timeoutMs } of getProviderChain()) {
+    const startedAt = Date.now();
+
+    try {
+      logger.info(`Using ${name} for analysis`);
+
+      const result = await withTimeout(
+        (signal) =>
+          CLASSIFICATION_PROVIDERS[name].classify(
+            imageUri,
+            categories,
+            locale,
+            { signal, timeoutMs, fallbackCategory }
+          ),
+        timeoutMs,
+        name
+      );
+
+      providersTried.push({
+        provider: name,
+        success: true,
+        durationMs: Date.now() - startedAt,
+      });
+
+      logger.info(`${name} analysis successful`);
+
+      // Map synonyms onto the canonical name and fill in the category's
+      // severity hint when the provider didn't give one
+      const category = findTaxonomyCategory(taxonomy, result.category);
+      if (category) {
+        result.category = category.name;
+        result.severity = result.severity || category.severityHint || null;
+      }
+
+      return {
+        ...result,
+        categoryLabel: category
+          ? localizeCategory(category, locale, "name")
+          : result.category,
+        severityLabel: result.severity
+          ? t(locale, `severity.${result.severity}`)
+          : null,
+        analyzedBy: name,
+        providersTried,
+      };
+    } catch (providerError) {
+      logger.warn(`${name} failed:`, providerError.message);
+
+      providersTried.push({
+        provider: name,
+        success: false,
+        error: providerError.message,
+        durationMs: Date.now() - startedAt,
+      });
+    }
+  }
+
+  const error = new Error(
+    `All classification providers failed (${
+      providersTried
+        .map((p) => `${p.provider}: ${p.error}`)
+        .join("; ") || "none configured"
+    })`
+  );
+  error.providersTried = providersTried;
+  throw error;
+}
+
+/**
+ * analyzeGarbageImage Function - Runs the CLASSIFIER_PROVIDERS chain
+ * (Vision, then Gemini AI by default)
+ */
+exports.analyzeGarbageImage = onCall(
+  {
+    secrets: [GEMINI_API_KEY],
+  },
+  async (request) => {
+    try {
+      requireRole(request);
+
+      const { imageUri } = request.data;
+
+      if (!imageUri) {
+        throw new Error("imageUri is required");
+      }
+
+      const locale = await getRequestLocale(request);
+
+      return await classifyGarbageImage(imageUri, locale);
+    } catch (error) {
+      logger.error("Image analysis error:", error);
+      // Tell the app which providers were tried and why each failed
+      if (error.providersTried) {
+        throw new HttpsError(
+          "unavailable",
+          "Failed to analyze image: " + error.message,
+          { providersTried: error.providersTried }
+        );
+      }
+      throw new Error("Failed to analyze image: " + error.message);
+    }
+  }
+);
+
+/**
+ * Invite tokens are only stored hashed, so a leaked workerInvites document
+ * can't be used to take over the account
+ */
+function hashInviteToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Create a fresh invite token for a pending worker, store its hash and
+ * expiry in workerInvites/{uid} (replacing any earlier token) and queue the
+ * setup link email
+ */
+async function sendWorkerInvite(uid, worker, invitedBy) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiryHours = WORKER_INVITE_EXPIRY_HOURS.value();
+
+  await admin
+    .firestore()
+    .collection("workerInvites")
+    .doc(uid)
+    .set({
+      uid,
+      email: worker.email,
+      ngoId: worker.ngoId,
+      tokenHash: hashInviteToken(token),
+      status: "pending",
+      invitedBy,
+      expiresAt: admin.firestore.Timestamp.fromMillis(
+        Date.now() + expiryHours * 60 * 60 * 1000
+      ),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+  await queueMail({
+    to: worker.email,
+    template: "workerInvite",
+    locale: getUserLocale(worker),
+    data: {
+      name: worker.name,
+      email: worker.email,
+      hours: expiryHours,
+      link: `${WORKER_INVITE_URL.value()}?token=${token}`,
+    },
+  });
+}
+
+/**
+ * Load a worker that an admin wants to manage and check the caller may
+ * act on their NGO
+ */
+async function getManagedWorker(request, uid) {
+  if (!uid) {
+    throw new Error("uid is required");
+  }
+
+  const workerDoc = await admin
+    .firestore()
+    .collection("users")
+    .doc(uid)
+    .get();
+
+  if (!workerDoc.exists || workerDoc.data().role !== "worker") {
+    throw new Error("Worker not found");
+  }
+
+  requireRole(request, ADMIN_ROLES, workerDoc.data().ngoId);
+
+  return workerDoc;
+}
+
+/**
+ * Create a pending worker (disabled Auth user plus users document) and
+ * email their invite. Shared by createWorker and importWorkers; returns
+ * the new uid.
+ */
+async function inviteWorker({ email, name, phone, ngoId, locale }, invitedBy) {
+  if (!email || !name) {
+    throw new Error("email and name are required");
+  }
+
+  // Check if email already exists
+  try {
+    await admin.auth().getUserByEmail(email);
+    // If we get here, user exists
+    throw new Error("A user with this email already exists");
+  } catch (error) {
+    // If error code is user-not-found, continue with creation
+    if (error.code !== "auth/user-not-found") {
+      throw error;
+    }
+  }
+
+  // Firebase Auth user without a password; it stays disabled until the
+  // worker completes the invite
+  const userRecord = await admin.auth().createUser({
+    email,
+    displayName: name,
+    disabled: true,
+  });
+
+  const worker = {
+    uid: userRecord.uid,
+    email,
+    name,
+    ngoId,
+    phone: phone || null,
+    locale: normalizeLocale(locale),
+    isActive: false,
+    inviteStatus: "pending",
+    role: "worker",
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  await setUserClaims(userRecord.uid, "worker", ngoId);
+
+  // Firestore document
+  await admin.firestore().collection("users").doc(userRecord.uid).set(worker);
+
+  try {
+    await sendWorkerInvite(userRecord.uid, worker, invitedBy);
+  } catch (error) {
+    // The account exists, so the admin should resend rather than recreate
+    const inviteError = new Error(
+      `Worker created but the invite could not be sent (${error.message}). ` +
+        "Use resendWorkerInvite to retry."
+    );
+    inviteError.uid = userRecord.uid;
+    throw inviteError;
+  }
+
+  return userRecord.uid;
+}
+
+/**
+ * Invite a new worker. The account is created disabled and inactive, and
+ * the worker gets an email link to set their own password.
+ */
+exports.createWorker = onCall(async (request) => {
+  try {
+    const { email, name, phone, ngoId, locale } = request.data;
+
+    // Only admins of this NGO (or super admins) can add its workers
+    requireRole(request, ADMIN_ROLES, ngoId);
+
+    if (!ngoId) {
+      throw new Error("ngoId is required");
+    }
+
+    logger.info("Create worker request for:", email, name, phone);
+
+    const uid = await inviteWorker(
+      { email, name, phone, ngoId, locale },
+      request.auth.uid
+    );
+
+    return {
+      success: true,
+      uid,
+      message: "Worker invited successfully",
+    };
+  } catch (error) {
+    logger.error("Create worker error:", error);
+    throw new Error(error.message);
+  }
+});
+
+// Bulk worker import limits: rows per file, and invites sent in parallel
+const WORKER_IMPORT_MAX_ROWS = 500;
+const WORKER_IMPORT_BATCH_SIZE = 10;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9 ()-]{7,20}$/;
+
+/**
+ * Parse CSV text into rows of fields. Handles quoted fields with commas,
+ * doubled quotes and line breaks.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Quote a value for CSV output when it needs it. Text starting with a
+ * character spreadsheets read as a formula (=, +, -, @, tab or CR) is
+ * prefixed with ' so it opens as plain text.
+ */
+function toCsvField(value) {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Check one import row. Returns an error message, or null if the row can
+ * be imported.
+ */
+function validateWorkerRow(row, seenEmails) {
+  if (!row.name) {
+    return "Name is required";
+  }
+  if (!EMAIL_PATTERN.test(row.email)) {
+    return "Invalid email";
+  }
+  if (row.phone && !PHONE_PATTERN.test(row.phone)) {
+    return "Invalid phone number";
+  }
+  if (seenEmails.has(row.email)) {
+    return "Duplicate email in file";
+  }
+  return null;
+}
+
+/**
+ * Import workers from a CSV with name, email and phone columns, given as
+ * text (csv) or as a file in the default Storage bucket (storagePath).
+ * Every valid row is invited like createWorker. Returns a per-row report,
+ * also saved as a CSV with a download link.
+ */
+exports.importWorkers = onCall(
+  {
+    timeoutSeconds: 540,
+  },
+  async (request) => {
+    try {
+      const { ngoId, storagePath, locale } = request.data;
+
+      requireRole(request, ADMIN_ROLES, ngoId);
+
+      if (!ngoId) {
+        throw new Error("ngoId is required");
+      }
+
+      let csv = request.data.csv;
+
+      if (!csv && storagePath) {
+        // Admins may only read uploads in their own NGO's folder
+        if (!storagePath.startsWith(`workerImports/${ngoId}/`)) {
+          throw new Error(`storagePath must be under workerImports/${ngoId}/`);
+        }
+
+        const [contents] = await admin
+          .storage()
+          .bucket()
+          .file(storagePath)
+          .download();
+        csv = contents.toString("utf8");
+      }
+      if (!csv) {
+        throw new Error("csv or storagePath is required");
+      }
+
+      const [header = [], ...dataRows] = parseCsv(csv.replace(/^\uFEFF/, ""));
+      const columns = header.map((column) => column.trim().toLowerCase());
+
+      if (!columns.includes("name") || !columns.includes("email")) {
+        throw new Error("CSV must have name and email columns");
+      }
+      // Row numbers match the spreadsheet, counting the header as row 1.
+      // Blank lines are skipped.
+      const rows = [];
+
+      dataRows.forEach((fields, index) => {
+        if (fields.every((field) => !field.trim())) {
+          return;
+        }
+
+        const value = (column) =>
+          (fields[columns.indexOf(column)] || "").trim();
+
+        rows.push({
+          row: index + 2,
+          name: value("name"),
+          email: value("email").toLowerCase(),
+          phone: value("phone"),
+        });
+      });
+
+      if (rows.length > WORKER_IMPORT_MAX_ROWS) {
+        throw new Error(
+          `CSV can have at most ${WORKER_IMPORT_MAX_ROWS} rows per import`
+        );
+      }
+
+      const results = [];
+      const seenEmails = new Set();
+      const toInvite = [];
+
+      for (const row of rows) {
+        const error = validateWorkerRow(row, seenEmails);
+        seenEmails.add(row.email);
+
+        if (error) {
+          results.push({ ...row, status: "error", error });
+        } else {
+          toInvite.push(row);
+        }
+      }
+
+      for (let i = 0; i < toInvite.length; i += WORKER_IMPORT_BATCH_SIZE) {
+        const batch = toInvite.slice(i, i + WORKER_IMPORT_BATCH_SIZE);
+
+        const outcomes = await Promise.allSettled(
+          batch.map((row) =>
+            inviteWorker({ ...row, ngoId, locale }, request.auth.uid)
+          )
+        );
+
+        outcomes.forEach((outcome, index) => {
+          results.push(
+            outcome.status === "fulfilled"
+              ? { ...batch[index], status: "invited", uid: outcome.value }
+              : {
+                  ...batch[index],
+                  status: "error",
+                  uid: outcome.reason.uid,
+                  error: outcome.reason.message,
+                }
+          );
+        });
+      }
+
+      results.sort((a, b) => a.row - b.row);
+
+      const invited = results.filter((result) => result.status === "invited");
+
+      // Downloadable per-row report
+      const importRef = admin.firestore().collection("workerImports").doc();
+      const reportPath = `workerImports/${importRef.id}/report.csv`;
+      const reportCsv = [
+        ["row", "name", "email", "phone", "status", "uid", "error"],
+        ...results.map((result) => [
+          result.row,
+          result.name,
+          result.email,
+          result.phone,
+          result.status,
+          result.uid,
+          result.error,
+        ]),
+      ]
+        .map((fields) => fields.map(toCsvField).join(","))
+        .join("\n");
+
+      const reportFile = admin.storage().bucket().file(reportPath);
+      await reportFile.save(reportCsv, { contentType: "text/csv" });
+      const [reportUrl] = await reportFile.getSignedUrl({
+        action: "read",
+        expires: Date.now() + 7 * 24 * 60 * 60 * 1000,
+      });
+
+      await importRef.set({
+        ngoId,
+        importedBy: request.auth.uid,
+        totalRows: results.length,
+        invitedCount: invited.length,
+        errorCount: results.length - invited.length,
+        reportPath,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      logger.info(
+        `Worker import ${importRef.id}: invited ${invited.length} of ` +
+          `${results.length} rows`
+      );
+
+      return {
+        success: true,
+        importId: importRef.id,
+        totalRows: results.length,
+        invitedCount: invited.length,
+        errorCount: results.length - invited.length,
+        results,
+        reportUrl,
+      };
+    } catch (error) {
+      logger.error("Import workers error:", error);
+      throw new Error(error.message);
+    }
+  }
+);
+
+/**
+ * Send a pending worker a new invite link. The previous link stops working.
+ */
+exports.resendWorkerInvite = onCall(async (request) => {
+  try {
+    const workerDoc = await getManagedWorker(request, request.data.uid);
+
+    if (workerDoc.data().inviteStatus !== "pending") {
+      throw new Error("Worker has no pending invite");
+    }
+
+    await sendWorkerInvite(workerDoc.id, workerDoc.data(), request.auth.uid);
+
+    await workerDoc.ref.update({
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    logger.info(`Invite resent to worker ${workerDoc.id}`);
+
+    return {
+      success: true,
+      message: "Invite resent",
+    };
+  } catch (error) {
+    logger.error("Resend worker invite error:", error);
+    throw new Error(error.message);
+  }
+});
+
+/**
+ * Revoke a pending invite. The unused Auth account is deleted and the
+ * worker profile is kept, marked revoked, for the admin's records.
+ */
+exports.revokeWorkerInvite = onCall(async (request) => {
+  try {
+    const workerDoc = await getManagedWorker(request, request.data.uid);
+
+    if (workerDoc.data().inviteStatus !== "pending") {
+      throw new Error("Worker has no pending invite");
+    }
+
+    await admin
+      .firestore()
+      .collection("workerInvites")
+      .doc(workerDoc.id)
+      .update({
+        status: "revoked",
+        revokedBy: request.auth.uid,
+        revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+    await workerDoc.ref.update({
+      inviteStatus: "revoked",
+      isActive: false,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    try {
+      await admin.auth().deleteUser(workerDoc.id);
+    } catch (error) {
+      if (error.code !== "auth/user-not-found") {
+        throw error;
+      }
+    }
+
+    logger.info(`Invite for worker ${workerDoc.id} revoked`);
+
+    return {
+      success: true,
+      message: "Invite revoked",
+    };
+  } catch (error) {
+    logger.error("Revoke worker invite error:", error);
+    throw new Error(error.message);
+  }
+});
+
+/**
+ * Complete a worker invite: check the emailed token, set the worker's
+ * password and activate the account. Called before the worker can sign in,
+ * so the token is the only credential.
+ */
+exports.completeWorkerInvite = onCall(async (request) => {
+  try {
+    const { token, password } = request.data;
+
+    if (!token) {
+      throw new Error("token is required");
+    }
+    if (!password || password.length < 8) {
+      throw new Error("Password must be at least 8 characters");
+    }
+
+    const tokenHash = hashInviteToken(token);
+    const inviteSnapshot = await admin
+      .firestore()
+      .collection("workerInvites")
+      .where("tokenHash", "==", tokenHash)
+      .limit(1)
+      .get();
+
+    if (inviteSnapshot.empty) {
+      throw new Error("Invite link is invalid");
+    }
+
+    const inviteRef = inviteSnapshot.docs[0].ref;
+
+    // Claim the invite before touching the account, so a link used twice at
+    // once, or resent or revoked meanwhile, can't set the password again
+    const invite = await admin.firestore().runTransaction(async (tx) => {
+      const inviteDoc = await tx.get(inviteRef);
+      const invite = inviteDoc.data();
+
+      if (!inviteDoc.exists || invite.tokenHash !== tokenHash) {
+        throw new Error("Invite link is invalid");
+      }
+      if (invite.status !== "pending") {
+        throw new Error("Invite link is no longer valid");
+      }
+      if (invite.expiresAt.toMillis() < Date.now()) {
+        throw new Error("Invite link has expired. Ask your NGO to resend it.");
+      }
+
+      tx.update(inviteRef, {
+        status: "accepted",
+        acceptedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return invite;
+    });
+
+    try {
+      await admin.auth().updateUser(invite.uid, {
+        password,
+        disabled: false,
+        emailVerified: true,
+      });
+    } catch (error) {
+      // Hand the invite back so the link can be tried again, unless it was
+      // resent or revoked in the meantime
+      await admin.firestore().runTransaction(async (tx) => {
+        const inviteDoc = await tx.get(inviteRef);
+        if (
+          inviteDoc.data()?.status === "accepted" &&
+          inviteDoc.data().tokenHash === tokenHash
+        ) {
+          tx.update(inviteRef, {
+            status: "pending",
+            acceptedAt: admin.firestore.FieldValue.delete(),
+          });
+        }
+      });
+      throw error;
+    }
+
+    await admin.firestore().collection("users").doc(invite.uid).update({
+      isActive: true,
+      inviteStatus: "accepted",
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    logger.info(`Worker ${invite.uid} completed their invite`);
+
+    return {
+      success: true,
+      email: invite.email,
+      message: "Account set up. You can now sign in.",
+    };
+  } catch (error) {
+    logger.error("Complete worker invite error:", error);
+    throw new Error(error.message);
+  }
+});
+
+/**
+ * Compare before and after images of a cleaning task and score how clean
+ * the area is now
+ */
+async function compareImages(beforeImageUrl, afterImageUrl, locale) {
+  // Analyze both images
+  const [beforeResult] = await client.labelDetection(beforeImageUrl);
+  const [afterResult] = await client.labelDetection(afterImageUrl);
+
+  const beforeLabels = beforeResult.labelAnnotations.map((label) =>
+    label.description.toLowerCase()
+  );
+  const afterLabels = afterResult.labelAnnotations.map((label) =>
+    label.description.toLowerCase()
+  );
+
+  // Garbage-related and clean indicators from the taxonomy
+  const taxonomy = await getTaxonomy();
+  const garbageKeywords = taxonomy
+    .filter((category) => !category.indicatesClean)
+    .flatMap((category) => category.verificationKeywords);
+  const cleanKeywords = taxonomy
+    .filter((category) => category.indicatesClean)
+    .flatMap((category) => category.verificationKeywords);
+
+  // Count garbage indicators in both images
+  const beforeGarbageCount = beforeLabels.filter((label) =>
+    garbageKeywords.some((keyword) => label.includes(keyword))
+  ).length;
+
+  const afterGarbageCount = afterLabels.filter((label) =>
+    garbageKeywords.some((keyword) => label.includes(keyword))
+  ).length;
+
+  const afterCleanCount = afterLabels.filter((label) =>
+    cleanKeywords.some((keyword) => label.includes(keyword))
+  ).length;
+
+  // Calculate cleanliness score (0-100)
+  const garbageReduction = Math.max(
+    0,
+    beforeGarbageCount - afterGarbageCount
+  );
+  const cleanlinessScore = Math.min(
+    100,
+    Math.round(
+      (garbageReduction / Math.max(beforeGarbageCount, 1)) * 60 +
+        afterCleanCount * 10 +
+        (afterGarbageCount === 0 ? 20 : 0)
+    )
+  );
+
+  // Determine if area is clean enough
+  const isClean =
+    cleanlinessScore >= 70 ||
+    (afterGarbageCount === 0 && beforeGarbageCount > 0);
+
+  let message;
+  if (isClean) {
+    message = t(locale, "compare.clean");
+  } else if (cleanlinessScore >= 50) {
+    message = t(locale, "compare.progress");
+  } else {
+    message = t(locale, "compare.dirty");
+  }
+
+  return {
+    isClean,
+    message,
+    cleanlinessScore,
+    beforeLabels: beforeLabels.slice(0, 10),
+    afterLabels: afterLabels.slice(0, 10),
+    garbageReduction,
+    beforeGarbageCount,
+    afterGarbageCount,
+  };
+}
+
+exports.compareBeforeAfter = onCall(async (request) => {
+  try {
+    requireRole(request, ["worker", ...ADMIN_ROLES]);
+
+    const { beforeImageUrl, afterImageUrl, reportId } = request.data;
+
+    if (!beforeImageUrl || !afterImageUrl) {
+      throw new Error("Both before and after image URLs are required");
+    }
+
+    // Only the assigned worker can attach a verification to a report
+    let reportRef = null;
+    if (reportId) {
+      reportRef = admin.firestore().collection("reports").doc(reportId);
+      const reportDoc = await reportRef.get();
+
+      if (!reportDoc.exists) {
+        throw new Error("Report not found");
+      }
+      if (reportDoc.data().assignedTo !== request.auth.uid) {
+        throw new Error("This report is not assigned to you");
+      }
+    }
+
+    const locale = await getRequestLocale(request);
+    const result = await compareImages(beforeImageUrl, afterImageUrl, locale);
+
+    // Store the verification so the report can be resolved against it
+    if (reportRef) {
+      const verification = {
+        isClean: result.isClean,
+        cleanlinessScore: result.cleanlinessScore,
+        beforeGarbageCount: result.beforeGarbageCount,
+        afterGarbageCount: result.afterGarbageCount,
+        beforeImageUrl,
+        afterImageUrl,
+        verifiedBy: request.auth.uid,
+        verifiedAt: admin.firestore.Timestamp.now(),
+      };
+
+      await reportRef.update({
+        verification,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      await reportRef.collection("reportStatus").add({
+        status: "verification_submitted",
+        workerId: request.auth.uid,
+        message: `Before/after verification submitted (score ${result.cleanlinessScore})`,
+        verification,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    return result;
+  } catch (error) {
+    console.error("Error comparing images:", error);
+    throw new Error("Failed to compare images: " + error.message);
+  }
+});
+
+/**
+ * Parse ASSIGNMENT_SEARCH_RADII_KM into positive radii, widest last
+ */
+function getAssignmentSearchRadii() {
+  const radii = ASSIGNMENT_SEARCH_RADII_KM.value()
+    .split(",")
+    .map((radius) => parseFloat(radius))
+    .filter((radius) => radius > 0)
+    .sort((a, b) => a - b);
+  return radii.length > 0 ? radii : [5, 15, 50];
+}
+
+/**
+ * Geohash for a { latitude, longitude } location
+ */
+function getGeohash(location) {
+  return geohashForLocation([location.latitude, location.longitude]);
+}
+
+/**
+ * Find documents in a collection whose `field` location ({ latitude,
+ * longitude, geohash }) lies within radiusKm of center. applyFilters can add
+ * equality filters to the geohash range queries. Returns [{ doc, distance }]
+ * sorted by distance in km.
+ */
+async function queryWithinRadius(
+  collection,
+  field,
+  center,
+  radiusKm,
+  applyFilters = (query) => query
+) {
+  const bounds = geohashQueryBounds(
+    [center.latitude, center.longitude],
+    radiusKm * 1000
+  );
+
+  const snaps = await Promise.all(
+    bounds.map(([start, end]) =>
+      applyFilters(admin.firestore().collection(collection))
+        .orderBy(`${field}.geohash`)
+        .startAt(start)
+        .endAt(end)
+        .get()
+    )
+  );
+
+  // Geohash ranges overlap and cover more than the circle, so dedupe and
+  // drop false positives by real distance
+  const seen = new Set();
+  const results = [];
+  snaps.forEach((snap) => {
+    snap.docs.forEach((doc) => {
+      const location = doc.data()[field];
+      if (seen.has(doc.id) || !location) {
+        return;
+      }
+      seen.add(doc.id);
+
+      const distance = getDistance(
+        center.latitude,
+        center.longitude,
+        location.latitude,
+        location.longitude
+      );
+      if (distance <= radiusKm) {
+        results.push({ doc, distance });
+      }
+    });
+  });
+
+  return results.sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Keep `${field}.geohash` in sync with the location's coordinates. Only
+ * writes when the stored geohash is missing or stale, so the write-back
+ * doesn't retrigger itself.
+ */
+async function syncGeohash(event, field) {
+  const after = event.data.after.data();
+  const location = after?.[field];
+
+  if (!location || !location.latitude || !location.longitude) {
+    return null;
+  }
+
+  const geohash = getGeohash(location);
+  if (location.geohash === geohash) {
+    return null;
+  }
+
+  await event.data.after.ref.update({ [`${field}.geohash`]: geohash });
+  return null;
+}
+
+/**
+ * Whether an update only changed `${field}.geohash`, i.e. it is a
+ * syncGeohash write-back that other triggers on the collection can ignore
+ */
+function isGeohashOnlyUpdate(event, field) {
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+
+  if (!before?.[field] || !after?.[field]) {
+    return false;
+  }
+
+  const { geohash: beforeGeohash, ...beforeLocation } = before[field];
+  const { geohash: afterGeohash, ...afterLocation } = after[field];
+
+  return (
+    beforeGeohash !== afterGeohash &&
+    isDeepStrictEqual(
+      { ...before, [field]: beforeLocation },
+      { ...after, [field]: afterLocation }
+    )
+  );
+}
+
+/**
+ * Maintain users.currentLocation.geohash for spatial worker queries
+ */
+exports.syncUserGeohash = onDocumentWritten("users/{userId}", (event) =>
+  syncGeohash(event, "currentLocation")
+);
+
+/**
+ * Maintain reports.location.geohash for spatial report queries
+ */
+exports.syncReportGeohash = onDocumentWritten("reports/{reportId}", (event) =>
+  syncGeohash(event, "location")
+);
+
+/**
+ * Fill in missing geohashes on existing users and reports (super admins
+ * only). Documents written after the sync triggers were deployed already
+ * have them.
+ */
+exports.backfillGeohashes = onCall(
+  { timeoutSeconds: 540 },
+  async (request) => {
+    try {
+      requireRole(request, ["super_admin"]);
+
+      const targets = [
+        ["users", "currentLocation"],
+        ["reports", "location"],
+      ];
+      const updated = {};
+
+      for (const [collection, field] of targets) {
+        const snap = await admin.firestore().collection(collection).get();
+        let batch = admin.firestore().batch();
+        let pending = 0;
+        updated[collection] = 0;
+
+        for (const doc of snap.docs) {
+          const location = doc.data()[field];
+          if (!location || !location.latitude || !location.longitude) {
+            continue;
+          }
+
+          const geohash = getGeohash(location);
+          if (location.geohash === geohash) {
+            continue;
+          }
+
+          batch.update(doc.ref, { [`${field}.geohash`]: geohash });
+          updated[collection]++;
+          pending++;
+
+          // Firestore batches hold at most 500 writes
+          if (pending === 500) {
+            await batch.commit();
+            batch = admin.firestore().batch();
+            pending = 0;
+          }
+        }
+
+        if (pending > 0) {
+          await batch.commit();
+        }
+      }
+
+      logger.info("Geohash backfill complete:", updated);
+
+      return {
+        success: true,
+        updated,
+      };
+    } catch (error) {
+      logger.error("Backfill geohashes error:", error);
+      throw new Error(error.message);
+    }
+  }
+);
+
+/**
+ * Polygons of a GeoJSON Polygon, MultiPolygon or Feature wrapping one, as
+ * arrays of rings of [longitude, latitude] positions
+ */
+function getServiceAreaPolygons(geojson) {
+  const geometry = geojson.type === "Feature" ? geojson.geometry : geojson;
+
+  if (geometry?.type === "Polygon") {
+    return [geometry.coordinates];
+  }
+  if (geometry?.type === "MultiPolygon") {
+    return geometry.coordinates;
+  }
+  throw new Error("Service area must be a GeoJSON Polygon or MultiPolygon");
+}
+
+/**
+ * Ray casting test for a point inside a linear ring
+ */
+function isPointInRing(longitude, latitude, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (
+      yi > latitude !== yj > latitude &&
+      longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether an NGO's service area contains a location. The area is stored
+ * on ngos.serviceArea as a GeoJSON string, since Firestore can't hold the
+ * nested coordinate arrays. NGOs without a service area cover everywhere.
+ */
+function isInServiceArea(ngoId, ngo, location) {
+  if (!ngo.serviceArea) {
+    return true;
+  }
+
+  try {
+    const polygons = getServiceAreaPolygons(JSON.parse(ngo.serviceArea));
+    return polygons.some(
+      ([outer, ...holes]) =>
+        isPointInRing(location.longitude, location.latitude, outer) &&
+        !holes.some((hole) =>
+          isPointInRing(location.longitude, location.latitude, hole)
+        )
+    );
+  } catch (error) {
+    logger.error(`Invalid service area on NGO ${ngoId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Set or clear an NGO's service area (its own admins or super admins).
+ * serviceArea is a GeoJSON Polygon, MultiPolygon or Feature; null clears it.
+ */
+exports.setNgoServiceArea = onCall(async (request) => {
+  try {
+    const { ngoId, serviceArea } = request.data;
+
+    requireRole(request, ADMIN_ROLES, ngoId);
+
+    if (!ngoId) {
+      throw new Error("ngoId is required");
+    }
+
+    const ngoRef = admin.firestore().collection("ngos").doc(ngoId);
+
+    if (!(await ngoRef.get()).exists) {
+      throw new Error("NGO not found");
+    }
+
+    if (serviceArea === null) {
+      await ngoRef.update({
+        serviceArea: admin.firestore.FieldValue.delete(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return {
+        success: true,
+        message: "Service area cleared",
+      };
+    }
+
+    const polygons = getServiceAreaPolygons(serviceArea || {});
+
+    polygons.forEach((rings) => {
+      rings.forEach((ring) => {
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (ring.length < 4 || first[0] !== last[0] || first[1] !== last[1]) {
+          throw new Error(
+            "Each service area ring must be closed and have at least 4 positions"
+          );
+        }
+        ring.forEach(([longitude, latitude]) => {
+          if (!(Math.abs(longitude) <= 180) || !(Math.abs(latitude) <= 90)) {
+            throw new Error(
+              "Service area positions must be [longitude, latitude]"
+            );
+          }
+        });
+      });
+    });
+
+    await ngoRef.update({
+      serviceArea: JSON.stringify({
+        type: "MultiPolygon",
+        coordinates: polygons,
+      }),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    logger.info(`Service area of NGO ${ngoId} updated by ${request.auth.uid}`);
+
+    return {
+      success: true,
+      message: "Service area saved",
+    };
+  } catch (error) {
+    logger.error("Set NGO service area error:", error);
+    throw new Error(error.message);
+  }
+});
+
+// Statuses in which a report still needs its assigned worker. They count
+// towards the worker's open workload, and are handed to someone else when
+// the worker is deactivated, transferred or deleted.
+const WORKER_OPEN_REPORT_STATUSES = ["assigned", "in_progress"];
+
+// Default cap on open reports per worker when the NGO doesn't set one
+const DEFAULT_MAX_OPEN_REPORTS = 5;
+
+// How much distance vs. current workload matters, by report severity.
+// Urgent reports favour the closest worker; minor ones spread the load.
+const ASSIGNMENT_WEIGHTS = {
+  High: { distance: 0.8, workload: 0.2 },
+  Medium: { distance: 0.6, workload: 0.4 },
+  Low: { distance: 0.4, workload: 0.6 },
+};
+
+/**
+ * Haversine formula to calculate distance in km between two lat/lng points
+ */
+function getDistance(lat1, lon1, lat2, lon2) {
+  function toRad(x) {
+    return (x * Math.PI) / 180;
+  }
+  const R = 6371; // km
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) *
+      Math.cos(toRad(lat2)) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+/**
+ * Count the open reports currently assigned to a worker
+ */
+async function countOpenReports(workerId) {
+  const snap = await admin
+    .firestore()
+    .collection("reports")
+    .where("assignedTo", "==", workerId)
+    .where("status", "in", WORKER_OPEN_REPORT_STATUSES)
+    .count()
+    .get();
+  return snap.data().count;
+}
+
+/**
+ * Pick the best worker for a report by weighing distance against workload.
+ * Workers at their NGO's capacity, workers who declined the report and
+ * excludeWorkerIds are skipped. Returns { worker, reason } where worker is
+ * null and reason explains why when nobody could be selected.
+ */
+async function findBestWorker(report, { excludeWorkerIds = [] } = {}) {
+  // Step 1: Find NGOs that handle this category (or one of its synonyms)
+  const ngosSnap = await findNgosForCategory(report.category);
+
+  if (ngosSnap.empty) {
+    return { worker: null, reason: "no_ngo" };
+  }
+
+  // Step 2: Keep the NGOs whose service area covers the report
+  const coveringNgos = ngosSnap.docs.filter((doc) =>
+    isInServiceArea(doc.id, doc.data(), report.location)
+  );
+
+  if (coveringNgos.length === 0) {
+    return { worker: null, reason: "outside_service_area" };
+  }
+
+  // Step 3: Get all ngoIds that match, with their capacity limits
+  const capacityByNgo = {};
+  coveringNgos.forEach((doc) => {
+    capacityByNgo[doc.id] =
+      doc.data().maxOpenReportsPerWorker || DEFAULT_MAX_OPEN_REPORTS;
+  });
+  const matchingNgoIds = Object.keys(capacityByNgo);
+  logger.info(
+    `Found ${matchingNgoIds.length} NGOs for category ${report.category}`
+  );
+
+  // Workers who declined or let this report time out aren't asked again
+  const excludedWorkerIds = [
+    ...(report.declinedBy || []),
+    ...excludeWorkerIds,
+  ];
+  const openReportCounts = new Map();
+
+  // Workload for each candidate, counted once per worker across searches
+  const toCandidates = (nearby) =>
+    Promise.all(
+      nearby
+        .filter(
+          ({ doc }) =>
+            capacityByNgo[doc.data().ngoId] &&
+            !excludedWorkerIds.includes(doc.data().uid)
+        )
+        .map(async ({ doc, distance }) => {
+          const worker = doc.data();
+          if (!openReportCounts.has(worker.uid)) {
+            const openReports = await countOpenReports(worker.uid);
+            openReportCounts.set(worker.uid, openReports);
+          }
+          return {
+            uid: worker.uid,
+            name: worker.name,
+            email: worker.email,
+            ngoId: worker.ngoId,
+            distance,
+            openReports: openReportCounts.get(worker.uid),
+            capacity: capacityByNgo[worker.ngoId],
+          };
+        })
+    );
+
+  // Step 4: Fetch active workers of these NGOs near the report, widening
+  // the search until someone with spare capacity turns up
+  let candidates = [];
+  let available = [];
+  for (const radiusKm of getAssignmentSearchRadii()) {
+    const nearby = await queryWithinRadius(
+      "users",
+      "currentLocation",
+      report.location,
+      radiusKm,
+      (query) =>
+        query.where("role", "==", "worker").where("isActive", "==", true)
+    );
+
+    candidates = await toCandidates(nearby);
+    available = candidates.filter((c) => c.openReports < c.capacity);
+    if (available.length > 0) {
+      break;
+    }
+  }
+
+  // Step 5: Nobody free within the widest radius, so fall back to every
+  // located active worker of these NGOs, however far away
+  if (available.length === 0) {
+    const workersSnap = await admin
+      .firestore()
+      .collection("users")
+      .where("role", "==", "worker")
+      .where("isActive", "==", true)
+      .where("ngoId", "in", matchingNgoIds)
+      .get();
+
+    const located = workersSnap.docs
+      .filter(
+        (doc) =>
+          doc.data().currentLocation?.latitude &&
+          doc.data().currentLocation?.longitude
+      )
+      .map((doc) => ({
+        doc,
+        distance: getDistance(
+          report.location.latitude,
+          report.location.longitude,
+          doc.data().currentLocation.latitude,
+          doc.data().currentLocation.longitude
+        ),
+      }));
+
+    candidates = await toCandidates(located);
+    available = candidates.filter((c) => c.openReports < c.capacity);
+  }
+
+  if (candidates.length === 0) {
+    return { worker: null, reason: "no_worker_in_range" };
+  }
+
+  if (available.length === 0) {
+    return { worker: null, reason: "all_workers_at_capacity" };
+  }
+
+  // Step 6: Score candidates (lower is better)
+  const weights =
+    ASSIGNMENT_WEIGHTS[report.severity] || ASSIGNMENT_WEIGHTS.Medium;
+  const maxDistance = Math.max(...available.map((c) => c.distance), 1e-6);
+
+  available.forEach((c) => {
+    c.score =
+      weights.distance * (c.distance / maxDistance) +
+      weights.workload * (c.openReports / c.capacity);
+  });
+  available.sort((a, b) => a.score - b.score);
+
+  const worker = available[0];
+  return {
+    worker,
+    reason: {
+      distanceKm: parseFloat(worker.distance.toFixed(2)),
+      openReports: worker.openReports,
+      capacity: worker.capacity,
+      score: parseFloat(worker.score.toFixed(3)),
+      weights,
+      candidatesConsidered: candidates.length,
+      candidatesAtCapacity: candidates.length - available.length,
+    },
+  };
+}
+
+// Backoff between assignment retries for queued reports
+const ASSIGNMENT_RETRY_BASE_MINUTES = 5;
+const ASSIGNMENT_RETRY_MAX_MINUTES = 240;
+
+// Average travel speed used to estimate a worker's arrival until they give
+// their own ETA when accepting
+const WORKER_TRAVEL_SPEED_KMH = 20;
+const MIN_ETA_MINUTES = 10;
+
+/**
+ * Assign a report to the selected worker and record it in reportStatus.
+ * Only pending, unassigned reports are assigned, in one transaction, so a
+ * repeated run can't assign twice. Returns false if the report was no
+ * longer pending.
+ */
+async function assignReport(reportId, worker, reason) {
+  const reportRef = admin.firestore().collection("reports").doc(reportId);
+
+  const etaMinutes = Math.max(
+    MIN_ETA_MINUTES,
+    Math.round((reason.distanceKm / WORKER_TRAVEL_SPEED_KMH) * 60)
+  );
+
+  const assigned = await admin.firestore().runTransaction(async (tx) => {
+    const reportDoc = await tx.get(reportRef);
+    const report = reportDoc.data();
+
+    if (
+      !reportDoc.exists ||
+      (report.status && report.status !== "pending") ||
+      report.assignedTo
+    ) {
+      return false;
+    }
+
+    // Assign the report to the selected worker and add ngoId
+    tx.update(reportRef, {
+      assignedTo: worker.uid,
+      ngoId: worker.ngoId,
+      status: "assigned",
+      etaMinutes,
+      assignedAt: admin.firestore.FieldValue.serverTimestamp(),
+      acceptedAt: null,
+      acceptanceDeadline: admin.firestore.Timestamp.fromMillis(
+        Date.now() + ASSIGNMENT_ACCEPT_SLA_MINUTES.value() * 60 * 1000
+      ),
+      assignmentPending: false,
+      unassignedReason: admin.firestore.FieldValue.delete(),
+      outsideServiceArea: admin.firestore.FieldValue.delete(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    // Add a status entry to the reportStatus subcollection with workerName,
+    // message and why this worker was chosen
+    tx.set(reportRef.collection("reportStatus").doc(), {
+      status: "assigned",
+      workerId: worker.uid,
+      workerName: worker.name,
+      message: `Status changed to assigned (${reason.distanceKm} km away, ${reason.openReports}/${reason.capacity} open tasks)`,
+      assignmentReason: reason,
+      etaMinutes,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return true;
+  });
+
+  if (!assigned) {
+    logger.info(`Report ${reportId} is no longer pending, not assigning`);
+    return false;
+  }
+
+  logger.info(
+    `Report ${reportId} assigned to worker ${worker.uid} (${worker.name}) from NGO ${worker.ngoId}, distance: ${reason.distanceKm} km, open reports: ${reason.openReports}, score: ${reason.score}`
+  );
+
+  return true;
+}
+
+/**
+ * Delay before the next assignment retry, doubling with every attempt
+ */
+function getRetryDelayMs(attempts) {
+  const minutes = Math.min(
+    ASSIGNMENT_RETRY_BASE_MINUTES * Math.pow(2, attempts),
+    ASSIGNMENT_RETRY_MAX_MINUTES
+  );
+  return minutes * 60 * 1000;
+}
+
+/**
+ * Put a report that couldn't be assigned into the pending-assignment queue.
+ * Reports outside every NGO service area are also flagged for review.
+ */
+async function queueUnassignedReport(reportId, report, reason) {
+  await admin.firestore().collection("reports").doc(reportId).update({
+    assignmentPending: true,
+    unassignedReason: reason,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  await admin
+    .firestore()
+    .collection("assignmentQueue")
+    .doc(reportId)
+    .set({
+      reportId,
+      reason,
+      attempts: 0,
+      escalated: false,
+      nextAttemptAt: admin.firestore.Timestamp.fromMillis(
+        Date.now() + getRetryDelayMs(0)
+      ),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+  logger.info(`Report ${reportId} queued for assignment: ${reason}`);
+
+  if (reason === "outside_service_area" && !report.outsideServiceArea) {
+    await flagOutsideServiceArea(reportId, report);
+  }
+}
+
+// FCM errors meaning a token will never work again
+const STALE_TOKEN_ERRORS = [
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+];
+
+/**
+ * All FCM tokens of a user: the fcmTokens array plus the legacy single
+ * fcmToken field
+ */
+function getUserTokens(userData) {
+  const tokens = [...(userData?.fcmTokens || [])];
+  if (userData?.fcmToken && !tokens.includes(userData.fcmToken)) {
+    tokens.push(userData.fcmToken);
+  }
+  return tokens;
+}
+
+/**
+ * Whether a user wants pushes of this type. notificationPreferences.push
+ * set to false mutes all pushes; notificationPreferences[type] set to
+ * false mutes one type.
+ */
+function wantsPush(userData, type) {
+  const preferences = userData?.notificationPreferences || {};
+  return preferences.push !== false && preferences[type] !== false;
+}
+
+/**
+ * Notify one user: write an in-app notifications record and, unless their
+ * preferences mute this type, push it to all their devices in their
+ * language. Tokens FCM reports as unregistered are removed from the user.
+ */
+async function notifyUser(userDoc, type, messageKey, params, data) {
+  const userData = userDoc.data();
+  const locale = getUserLocale(userData);
+  const title = t(locale, `${messageKey}.title`);
+  const body = t(locale, `${messageKey}.body`, params(locale));
+
+  // FCM data values must be strings
+  const pushData = { type };
+  for (const [key, value] of Object.entries(data)) {
+    pushData[key] = value === undefined || value === null ? "" : String(value);
+  }
+
+  const tokens = wantsPush(userData, type) ? getUserTokens(userData) : [];
+  let delivered = 0;
+
+  if (tokens.length) {
+    const response = await admin.messaging().sendEachForMulticast({
+      notification: { title, body },
+      data: pushData,
+      tokens,
+    });
+
+    delivered = response.successCount;
+
+    const staleTokens = tokens.filter((token, index) =>
+      STALE_TOKEN_ERRORS.includes(response.responses[index].error?.code)
+    );
+
+    if (staleTokens.length) {
+      await userDoc.ref.update({
+        fcmTokens: admin.firestore.FieldValue.arrayRemove(...staleTokens),
+        ...(staleTokens.includes(userData.fcmToken)
+          ? { fcmToken: admin.firestore.FieldValue.delete() }
+          : {}),
+      });
+      logger.info(
+        `Removed ${staleTokens.length} stale tokens of user ${userDoc.id}`
+      );
+    }
+  }
+
+  await admin.firestore().collection("notifications").add({
+    userId: userDoc.id,
+    type,
+    title,
+    body,
+    data: pushData,
+    pushed: delivered > 0,
+    read: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return delivered;
+}
+
+/**
+ * Notify each user (see notifyUser). params(locale) returns the message
+ * placeholders for that locale. One user's failure doesn't stop the rest.
+ */
+async function notifyUsers(
+  userDocs,
+  type,
+  messageKey,
+  params = () => ({}),
+  data = {}
+) {
+  let delivered = 0;
+
+  for (const userDoc of userDocs) {
+    if (!userDoc.exists) {
+      continue;
+    }
+    try {
+      delivered += await notifyUser(userDoc, type, messageKey, params, data);
+    } catch (error) {
+      logger.error(`Error notifying user ${userDoc.id}:`, error);
+    }
+  }
+
+  return delivered;
+}
+
+/**
+ * Register the caller's device token for pushes
+ */
+exports.registerFcmToken = onCall(async (request) => {
+  try {
+    requireRole(request);
+
+    const { token } = request.data;
+
+    if (!token) {
+      throw new Error("token is required");
+    }
+
+    await admin
+      .firestore()
+      .collection("users")
+      .doc(request.auth.uid)
+      .update({
+        fcmTokens: admin.firestore.FieldValue.arrayUnion(token),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    logger.error("Register FCM token error:", error);
+    throw new Error(error.message);
+  }
+});
+
+/**
+ * Remove a device token, e.g. when the user signs out on that device
+ */
+exports.unregisterFcmToken = onCall(async (request) => {
+  try {
+    requireRole(request);
+
+    const { token } = request.data;
+
+    if (!token) {
+      throw new Error("token is required");
+    }
+
+    const userRef = admin.firestore().collection("users").doc(request.auth.uid);
+    const userData = (await userRef.get()).data();
+
+    await userRef.update({
+      fcmTokens: admin.firestore.FieldValue.arrayRemove(token),
+      ...(userData?.fcmToken === token
+        ? { fcmToken: admin.firestore.FieldValue.delete() }
+        : {}),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    logger.error("Unregister FCM token error:", error);
+    throw new Error(error.message);
+  }
+});
+
+/**
+ * Save the caller's push preferences: { push?: boolean, [type]: boolean }
+ */
+exports.setNotificationPreferences = onCall(async (request) => {
+  try {
+    requireRole(request);
+
+    const { preferences } = request.data;
+
+    if (
+      !preferences ||
+      typeof preferences !== "object" ||
+      Object.values(preferences).some((value) => typeof value !== "boolean")
+    ) {
+      throw new Error("preferences must map notification types to booleans");
+    }
+
+    // Merge so unspecified types keep their setting
+    const update = {
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    for (const [type, enabled] of Object.entries(preferences)) {
+      update[`notificationPreferences.${type}`] = enabled;
+    }
+
+    await admin
+      .firestore()
+      .collection("users")
+      .doc(request.auth.uid)
+      .update(update);
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    logger.error("Set notification preferences error:", error);
+    throw new Error(error.message);
+  }
+});
+
+/**
+ * Report category name in the given locale
+ */
+async function getCategoryLabel(categoryName, locale) {
+  const category = findTaxonomyCategory(await getTaxonomy(), categoryName);
+  return category ? localizeCategory(category, locale, "name") : categoryName;
+}
+
+/**
+ * Notify the admins of the NGOs handling a report's category that it
+ * couldn't be assigned. Goes to super admins instead when no NGO handles
+ * it, or when it is outside every NGO's service area.
+ */
+async function escalateUnassignedReport(reportId, report, reason, attempts) {
+  const ngosSnap =
+    reason === "outside_service_area"
+      ? null
+      : await findNgosForCategory(report.category);
+
+  let adminsQuery = admin.firestore().collection("users");
+  if (!ngosSnap || ngosSnap.empty) {
+    adminsQuery = adminsQuery.where("role", "==", "super_admin");
+  } else {
+    adminsQuery = adminsQuery
+      .where("role", "==", "ngo_admin")
+      .where("ngoId", "in", ngosSnap.docs.map((doc) => doc.id));
+  }
+  const adminsSnap = await adminsQuery.get();
+
+  const categoryLabels = {};
+  for (const locale of SUPPORTED_LOCALES) {
+    categoryLabels[locale] = await getCategoryLabel(report.category, locale);
+  }
+
+  await notifyUsers(
+    adminsSnap.docs,
+    "assignment_escalated",
+    "push.assignmentEscalated",
+    (locale) => ({ category: categoryLabels[locale], attempts, reason }),
+    {
+      reportId,
+      reason,
+    }
+  );
+
+  logger.warn(
+    `Report ${reportId} escalated to ${adminsSnap.size} admins after ${attempts} failed assignment attempts`
+  );
+}
+
+/**
+ * Flag a report filed outside every NGO service area and ask the super
+ * admins to review it
+ */
+async function flagOutsideServiceArea(reportId, report) {
+  await admin.firestore().collection("reports").doc(reportId).update({
+    outsideServiceArea: true,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  const adminsSnap = await admin
+    .firestore()
+    .collection("users")
+    .where("role", "==", "super_admin")
+    .get();
+
+  const categoryLabels = {};
+  for (const locale of SUPPORTED_LOCALES) {
+    categoryLabels[locale] = await getCategoryLabel(report.category, locale);
+  }
+
+  await notifyUsers(
+    adminsSnap.docs,
+    "outside_service_area",
+    "push.outsideServiceArea",
+    (locale) => ({ category: categoryLabels[locale] }),
+    {
+      reportId,
+    }
+  );
+
+  logger.warn(`Report ${reportId} is outside every NGO service area`);
+}
+
+// Report statuses a new report can be clustered under
+const CLUSTERABLE_REPORT_STATUSES = [
+  "pending",
+  "assigned",
+  "in_progress",
+  "needs_review",
+];
+
+/**
+ * Find the open report a new report duplicates: same category, created
+ * within DUPLICATE_WINDOW_HOURS before it and within
+ * DUPLICATE_RADIUS_METERS. Only older reports (ties broken by ID) count, so
+ * two reports created together can't each link to the other. Returns the
+ * nearest match with its distance, or null.
+ */
+async function findDuplicatePrimary(reportId, report) {
+  const createdAt = report.createdAt ? report.createdAt.toMillis() : Date.now();
+  const since = createdAt - DUPLICATE_WINDOW_HOURS.value() * 60 * 60 * 1000;
+
+  const nearby = await queryWithinRadius(
+    "reports",
+    "location",
+    report.location,
+    DUPLICATE_RADIUS_METERS.value() / 1000,
+    (query) => query.where("category", "==", report.category)
+  );
+
+  // Results are sorted by distance, so the first match is the nearest
+  const match = nearby.find(({ doc }) => {
+    const candidate = doc.data();
+    if (
+      doc.id === reportId ||
+      !CLUSTERABLE_REPORT_STATUSES.includes(candidate.status) ||
+      candidate.duplicateOf ||
+      !candidate.createdAt
+    ) {
+      return false;
+    }
+    const candidateCreatedAt = candidate.createdAt.toMillis();
+    return (
+      candidateCreatedAt >= since &&
+      (candidateCreatedAt < createdAt ||
+        (candidateCreatedAt === createdAt && doc.id < reportId))
+    );
+  });
+
+  return match ? { id: match.doc.id, distance: match.distance } : null;
+}
+
+/**
+ * Link a duplicate report into the cluster of its primary report, so only
+ * the primary is dispatched. Runs in a transaction that skips reports no
+ * longer pending, so a repeated run can't count the duplicate twice, and
+ * re-checks that the primary is still open and not a duplicate itself.
+ * Returns "linked", "not_pending" or "primary_unavailable".
+ */
+async function linkToCluster(reportId, report, primary) {
+  const reportsRef = admin.firestore().collection("reports");
+  const reportRef = reportsRef.doc(reportId);
+  const primaryRef = reportsRef.doc(primary.id);
+
+  const outcome = await admin.firestore().runTransaction(async (tx) => {
+    const [reportDoc, primaryDoc] = await Promise.all([
+      tx.get(reportRef),
+      tx.get(primaryRef),
+    ]);
+    const status = reportDoc.data()?.status;
+
+    if (!reportDoc.exists || (status && status !== "pending")) {
+      return "not_pending";
+    }
+
+    // The primary may have been linked or closed since it was found
+    const primaryReport = primaryDoc.data();
+    if (
+      !primaryReport ||
+      primaryReport.duplicateOf ||
+      !CLUSTERABLE_REPORT_STATUSES.includes(primaryReport.status)
+    ) {
+      return "primary_unavailable";
+    }
+
+    tx.update(reportRef, {
+      status: "duplicate",
+      duplicateOf: primary.id,
+      clusterId: primary.id,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    tx.set(reportRef.collection("reportStatus").doc(), {
+      status: "duplicate",
+      message: `Linked to report ${primary.id} reported ${Math.round(
+        primary.distance * 1000
+      )} m away`,
+      duplicateOf: primary.id,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    const primaryUpdate = {
+      clusterId: primary.id,
+      clusterReportIds: admin.firestore.FieldValue.arrayUnion(reportId),
+      duplicateCount: admin.firestore.FieldValue.increment(1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (report.userId) {
+      primaryUpdate.clusterReporterIds =
+        admin.firestore.FieldValue.arrayUnion(report.userId);
+    }
+    tx.update(primaryRef, primaryUpdate);
+
+    return "linked";
+  });
+
+  if (outcome === "not_pending") {
+    logger.info(`Report ${reportId} is no longer pending, not linking`);
+  } else if (outcome === "primary_unavailable") {
+    logger.info(
+      `Report ${primary.id} can no longer be a primary, not linking ${reportId}`
+    );
+  } else {
+    logger.info(
+      `Report ${reportId} linked as duplicate of ${primary.id} (${Math.round(
+        primary.distance * 1000
+      )} m away)`
+    );
+  }
+
+  return outcome;
+}
+
+exports.autoAssignNearestWorker = onDocumentCreated(
+  "reports/{reportId}",
+  async (event) => {
+    const report = event.data.data();
+    const reportId = event.params.reportId;
+
+    if (
+      !report ||
+      !report.location ||
+      !report.location.latitude ||
+      !report.location.longitude
+    ) {
+      logger.info("Report location missing, skipping assignment.");
+      return;
+    }
+
+    if (!report.category) {
+      logger.info("Report category missing, skipping assignment.");
+      return;
+    }
+
+    if (!(await claimEvent(event, "autoAssignNearestWorker"))) {
+      return;
+    }
+
+    try {
+      // Duplicates ride along with their primary report instead of
+      // dispatching another worker, unless the primary stopped being one
+      // in the meantime
+      const primary = await findDuplicatePrimary(reportId, report);
+      if (
+        primary &&
+        (await linkToCluster(reportId, report, primary)) !==
+          "primary_unavailable"
+      ) {
+        return;
+      }
+
+      const { worker, reason } = await findBestWorker(report);
+
+      if (!worker) {
+        await queueUnassignedReport(reportId, report, reason);
+        return;
+      }
+
+      await assignReport(reportId, worker, reason);
+    } catch (error) {
+      logger.error(`Error assigning report ${reportId}:`, error);
+      await releaseEvent(event, "autoAssignNearestWorker");
+      throw error;
+    }
+  }
+);
+
+/**
+ * Close a cluster's duplicate reports when its primary report is resolved
+ * or rejected. Each duplicate's own update then notifies its reporter.
+ */
+exports.syncClusterStatus = onDocumentUpdated(
+  "reports/{reportId}",
+  async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    const reportId = event.params.reportId;
+
+    if (isGeohashOnlyUpdate(event, "location")) {
+      return null;
+    }
+
+    if (
+      before.status === after.status ||
+      !["resolved", "rejected"].includes(after.status) ||
+      !after.clusterReportIds ||
+      after.clusterReportIds.length === 0
+    ) {
+      return null;
+    }
+
+    if (!(await claimEvent(event, "syncClusterStatus"))) {
+      return null;
+    }
+
+    try {
+      const reportsRef = admin.firestore().collection("reports");
+      const batch = admin.firestore().batch();
+      const duplicateDocs = await admin
+        .firestore()
+        .getAll(...after.clusterReportIds.map((id) => reportsRef.doc(id)));
+
+      duplicateDocs.forEach((duplicateDoc) => {
+        const update = {
+          status: after.status,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        };
+        update[`${after.status}At`] =
+          admin.firestore.FieldValue.serverTimestamp();
+        // Each duplicate is measured against its own SLA deadline
+        if (after.status === "resolved") {
+          Object.assign(update, getSlaOutcome(duplicateDoc.data() || {}));
+        } else {
+          update.slaNextEscalationAt = null;
+        }
+
+        const duplicateRef = duplicateDoc.ref;
+        batch.update(duplicateRef, update);
+        batch.set(duplicateRef.collection("reportStatus").doc(), {
+          status: after.status,
+          message: `Status changed to ${after.status} with report ${reportId}`,
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+
+      await batch.commit();
+      logger.info(
+        `Closed ${after.clusterReportIds.length} duplicates of report ${reportId} as ${after.status}`
+      );
+    } catch (error) {
+      logger.error("Error closing duplicate reports:", error);
+      await releaseEvent(event, "syncClusterStatus");
+      throw error;
+    }
+
+    return null;
+  }
+);
+
+/**
+ * Retry assignment for queued reports with exponential backoff, escalating
+ * to NGO admins (super admins for reports outside every service area) once
+ * ASSIGNMENT_MAX_ATTEMPTS retries have failed
+ */
+exports.retryPendingAssignments = onSchedule(
+  "every 10 minutes",
+  async () => {
+    const dueSnap = await admin
+      .firestore()
+      .collection("assignmentQueue")
+      .where("nextAttemptAt", "<=", admin.firestore.Timestamp.now())
+      .limit(50)
+      .get();
+
+    if (dueSnap.empty) {
+      return;
+    }
+
+    logger.info(`Retrying assignment for ${dueSnap.size} queued reports`);
+
+    for (const queueDoc of dueSnap.docs) {
+      const reportId = queueDoc.id;
+      const entry = queueDoc.data();
+
+      try {
+        const reportDoc = await admin
+          .firestore()
+          .collection("reports")
+          .doc(reportId)
+          .get();
+        const report = reportDoc.data();
+
+        // Report deleted, assigned by hand or closed in the meantime
+        if (
+          !reportDoc.exists ||
+          report.assignedTo ||
+          (report.status || "pending") !== "pending"
+        ) {
+          await queueDoc.ref.delete();
+          continue;
+        }
+
+        const { worker, reason } = await findBestWorker(report);
+
+        if (worker) {
+          await assignReport(reportId, worker, reason);
+          await queueDoc.ref.delete();
+          continue;
+        }
+
+        const attempts = entry.attempts + 1;
+        const shouldEscalate =
+          !entry.escalated && attempts >= ASSIGNMENT_MAX_ATTEMPTS.value();
+
+        await queueDoc.ref.update({
+          reason,
+          attempts,
+          escalated: entry.escalated || shouldEscalate,
+          nextAttemptAt: admin.firestore.Timestamp.fromMillis(
+            Date.now() + getRetryDelayMs(attempts)
+          ),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        await reportDoc.ref.update({
+          unassignedReason: reason,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        if (reason === "outside_service_area" && !report.outsideServiceArea) {
+          await flagOutsideServiceArea(reportId, report);
+        }
+        if (shouldEscalate) {
+          await escalateUnassignedReport(reportId, report, reason, attempts);
+        }
+      } catch (error) {
+        logger.error(`Error retrying assignment for ${reportId}:`, error);
+      }
+    }
+  }
+);
+
+/**
+ * Take a report away from a worker who declined it or let it time out,
+ * then hand it to the next-best candidate or queue it. Returns false when
+ * the report is no longer assigned to that worker. Only unaccepted
+ * assignments are released unless includeAccepted is set, which also
+ * releases accepted and in-progress reports, dropping the worker's
+ * startedAt and verification. The report's ngoId is cleared too, since
+ * the next worker may belong to any NGO covering it. The worker is
+ * excluded from the report (declinedBy) unless excludeWorker is false;
+ * skipWorker leaves them out of this reassignment only.
+ */
+async function releaseAndReassign(
+  reportId,
+  workerId,
+  status,
+  message,
+  { includeAccepted = false, excludeWorker = true, skipWorker = false } = {}
+) {
+  const reportRef = admin.firestore().collection("reports").doc(reportId);
+
+  const workerDoc = await admin
+    .firestore()
+    .collection("users")
+    .doc(workerId)
+    .get();
+
+  const releasableStatuses = includeAccepted
+    ? WORKER_OPEN_REPORT_STATUSES
+    : ["assigned"];
+
+  const released = await admin.firestore().runTransaction(async (tx) => {
+    const reportDoc = await tx.get(reportRef);
+    const report = reportDoc.data();
+
+    if (
+      !reportDoc.exists ||
+      report.assignedTo !== workerId ||
+      !releasableStatuses.includes(report.status) ||
+      (report.acceptedAt && !includeAccepted)
+    ) {
+      return false;
+    }
+
+    tx.update(reportRef, {
+      assignedTo: null,
+      ngoId: null,
+      status: "pending",
+      acceptedAt: null,
+      acceptanceDeadline: null,
+      startedAt: null,
+      verification: null,
+      ...(excludeWorker
+        ? { declinedBy: admin.firestore.FieldValue.arrayUnion(workerId) }
+        : {}),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    tx.set(reportRef.collection("reportStatus").doc(), {
+      status,
+      workerId,
+      workerName: workerDoc.data()?.name || "",
+      message,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return true;
+  });
+
+  if (!released) {
+    return false;
+  }
+
+  const report = (await reportRef.get()).data();
+  const { worker, reason } = await findBestWorker(report, {
+    excludeWorkerIds: skipWorker ? [workerId] : [],
+  });
+
+  if (worker) {
+    await assignReport(reportId, worker, reason);
+  } else {
+    await queueUnassignedReport(reportId, report, reason);
+  }
+
+  return true;
+}
+
+/**
+ * Worker accepts a report assigned to them
+ */
+exports.acceptReport = onCall(async (request) => {
+  try {
+    requireRole(request, ["worker"]);
+
+    const { reportId, etaMinutes } = request.data;
+
+    if (!reportId) {
+      throw new Error("reportId is required");
+    }
+    if (
+      etaMinutes !== undefined &&
+      !(Number.isInteger(etaMinutes) && etaMinutes > 0 && etaMinutes <= 1440)
+    ) {
+      throw new Error("etaMinutes must be a whole number of minutes");
+    }
+
+    const workerId = request.auth.uid;
+    const reportRef = admin.firestore().collection("reports").doc(reportId);
+    const workerDoc = await admin
+      .firestore()
+      .collection("users")
+      .doc(workerId)
+      .get();
+
+    await admin.firestore().runTransaction(async (tx) => {
+      const reportDoc = await tx.get(reportRef);
+      const report = reportDoc.data();
+
+      if (!reportDoc.exists) {
+        throw new Error("Report not found");
+      }
+      if (report.assignedTo !== workerId || report.status !== "assigned") {
+        throw new Error("This report is not assigned to you");
+      }
+      if (report.acceptedAt) {
+        throw new Error("Report already accepted");
+      }
+
+      // The worker's own ETA replaces the distance-based estimate
+      tx.update(reportRef, {
+        acceptedAt: admin.firestore.FieldValue.serverTimestamp(),
+        acceptanceDeadline: null,
+        ...(etaMinutes ? { etaMinutes } : {}),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      tx.set(reportRef.collection("reportStatus").doc(), {
+        status: "accepted",
+        workerId,
+        workerName: workerDoc.data()?.name || "",
+        message: "Task accepted by worker",
+        etaMinutes: etaMinutes || report.etaMinutes || null,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+
+    logger.info(`Report ${reportId} accepted by worker ${workerId}`);
+
+    return {
+      success: true,
+      message: "Report accepted",
+    };
+  } catch (error) {
+    logger.error("Accept report error:", error);
+    throw new Error(error.message);
+  }
+});
+
+/**
+ * Worker declines a report assigned to them. The report goes to the
+ * next-best candidate and the declining worker is excluded from it.
+ */
+exports.declineReport = onCall(async (request) => {
+  try {
+    requireRole(request, ["worker"]);
+
+    const { reportId, reason } = request.data;
+
+    if (!reportId) {
+      throw new Error("reportId is required");
+    }
+
+    const released = await releaseAndReassign(
+      reportId,
+      request.auth.uid,
+      "declined",
+      reason ? `Task declined by worker: ${reason}` : "Task declined by worker"
+    );
+
+    if (!released) {
+      throw new Error("This report is not awaiting your acceptance");
+    }
+
+    logger.info(`Report ${reportId} declined by worker ${request.auth.uid}`);
+
+    return {
+      success: true,
+      message: "Report declined",
+    };
+  } catch (error) {
+    logger.error("Decline report error:", error);
+    throw new Error(error.message);
+  }
+});
+
+/**
+ * Reassign reports whose worker didn't accept within
+ * ASSIGNMENT_ACCEPT_SLA_MINUTES
+ */
+exports.expireUnacceptedAssignments = onSchedule(
+  "every 5 minutes",
+  async () => {
+    const expiredSnap = await admin
+      .firestore()
+      .collection("reports")
+      .where("status", "==", "assigned")
+      .where("acceptedAt", "==", null)
+      .where("acceptanceDeadline", "<=", admin.firestore.Timestamp.now())
+      .limit(50)
+      .get();
+
+    if (expiredSnap.empty) {
+      return;
+    }
+
+    logger.info(`Reassigning ${expiredSnap.size} unaccepted reports`);
+
+    for (const reportDoc of expiredSnap.docs) {
+      try {
+        await releaseAndReassign(
+          reportDoc.id,
+          reportDoc.data().assignedTo,
+          "acceptance_timeout",
+          "Task not accepted in time, reassigning"
+        );
+      } catch (error) {
+        logger.error(`Error reassigning report ${reportDoc.id}:`, error);
+      }
+    }
+  }
+);
+
+// Hours to resolve a report by severity, unless its taxonomy category sets
+// slaHours
+const DEFAULT_SLA_HOURS = { High: 24, Medium: 72, Low: 168 };
+
+// Report statuses that still count against the SLA
+const SLA_OPEN_STATUSES = [
+  "pending",
+  "assigned",
+  "in_progress",
+  "needs_review",
+];
+
+/**
+ * SLA target in hours for a report's category and severity
+ */
+async function getSlaHours(report) {
+  const severity = DEFAULT_SLA_HOURS[report.severity]
+    ? report.severity
+    : "Medium";
+  const category = findTaxonomyCategory(await getTaxonomy(), report.category);
+  return category?.slaHours?.[severity] || DEFAULT_SLA_HOURS[severity];
+}
+
+/**
+ * Stamp every new report with its SLA target and deadline (slaDueAt),
+ * which is also when escalateOverdueReports first looks at it. Runs for
+ * all reports, including ones autoAssignNearestWorker skips, and leaves a
+ * report that already has a deadline alone so a redelivered event can't
+ * reset its escalation.
+ */
+exports.setReportSla = onDocumentCreated(
+  "reports/{reportId}",
+  async (event) => {
+    const report = event.data.data();
+    const reportId = event.params.reportId;
+
+    if (!report) {
+      return null;
+    }
+
+    try {
+      const slaHours = await getSlaHours(report);
+      const createdAtMs = report.createdAt?.toMillis?.() || Date.now();
+      const slaDueAt = admin.firestore.Timestamp.fromMillis(
+        createdAtMs + slaHours * 60 * 60 * 1000
+      );
+      const reportRef = admin.firestore().collection("reports").doc(reportId);
+
+      await admin.firestore().runTransaction(async (tx) => {
+        const reportDoc = await tx.get(reportRef);
+        if (!reportDoc.exists || reportDoc.data().slaDueAt) {
+          return;
+        }
+
+        const update = { slaHours, slaDueAt, slaEscalationLevel: 0 };
+        // Already closed (e.g. a duplicate closed with its cluster) before
+        // this ran; there is nothing left to escalate
+        if (SLA_OPEN_STATUSES.includes(reportDoc.data().status)) {
+          update.slaNextEscalationAt = slaDueAt;
+        }
+        tx.update(reportRef, update);
+      });
+    } catch (error) {
+      logger.error(`Error setting SLA for report ${reportId}:`, error);
+      throw error;
+    }
+
+    return null;
+  }
+);
+
+/**
+ * SLA fields for a report being resolved now: whether it met its deadline
+ * and by how many minutes it missed it
+ */
+function getSlaOutcome(report) {
+  if (!report.slaDueAt) {
+    return {};
+  }
+  const overdueMinutes = Math.max(
+    0,
+    Math.round((Date.now() - report.slaDueAt.toMillis()) / 60000)
+  );
+  return {
+    slaNextEscalationAt: null,
+    resolvedWithinSla: overdueMinutes === 0,
+    slaOverdueMinutes: overdueMinutes,
+  };
+}
+
+/**
+ * Admins responsible for a report: its NGO's admins, or the admins of the
+ * NGOs handling its category while it is unassigned
+ */
+async function getReportAdmins(report) {
+  let ngoIds = report.ngoId ? [report.ngoId] : [];
+
+  if (!ngoIds.length) {
+    const ngosSnap = await findNgosForCategory(report.category);
+    ngoIds = ngosSnap.docs.map((doc) => doc.id).slice(0, 30);
+  }
+  if (!ngoIds.length) {
+    return [];
+  }
+
+  const adminsSnap = await admin
+    .firestore()
+    .collection("users")
+    .where("role", "==", "ngo_admin")
+    .where("ngoId", "in", ngoIds)
+    .get();
+
+  return adminsSnap.docs;
+}
+
+/**
+ * Labels for SLA pushes in every language
+ */
+async function getSlaMessageParams(report, overdueHours) {
+  const params = {};
+  for (const locale of SUPPORTED_LOCALES) {
+    params[locale] = {
+      category: await getCategoryLabel(report.category, locale),
+      severity: report.severity ? t(locale, `severity.${report.severity}`) : "",
+      hours: report.slaHours,
+      overdue: overdueHours,
+    };
+  }
+  return params;
+}
+
+/**
+ * Take an overdue report one step up the escalation ladder:
+ * 1. notify the NGO's admins
+ * 2. reassign it to another worker
+ * 3. raise it to the super admins
+ * and record the breach on the report
+ */
+async function escalateOverdueReport(reportDoc) {
+  const report = reportDoc.data();
+  const reportId = reportDoc.id;
+  const level = (report.slaEscalationLevel || 0) + 1;
+  const overdueHours = Math.round(
+    (Date.now() - report.slaDueAt.toMillis()) / (60 * 60 * 1000)
+  );
+  const params = await getSlaMessageParams(report, overdueHours);
+  let action;
+
+  if (level === 1) {
+    const admins = await getReportAdmins(report);
+    await notifyUsers(
+      admins,
+      "sla_breached",
+      "push.slaBreached",
+      (locale) => params[locale],
+      { reportId, severity: report.severity }
+    );
+    action = `notified ${admins.length} NGO admins`;
+  } else if (level === 2) {
+    // Only an assignment nobody has accepted yet is taken back; work a
+    // worker has accepted or started stays with them and goes on to the
+    // super admins at the next step. Unassigned reports are already being
+    // retried by retryPendingAssignments. The worker isn't added to
+    // declinedBy, so they can be given the report again later.
+    if (!report.assignedTo) {
+      action = "not reassigned (no worker)";
+    } else if (report.status !== "assigned" || report.acceptedAt) {
+      action = "not reassigned (work accepted)";
+    } else {
+      const reassigned = await releaseAndReassign(
+        reportId,
+        report.assignedTo,
+        "sla_reassigned",
+        `Report ${overdueHours} hours past its SLA, reassigning`,
+        { excludeWorker: false, skipWorker: true }
+      );
+      action = reassigned
+        ? "reassigned"
+        : "not reassigned (no longer assigned)";
+    }
+  } else {
+    const superAdminsSnap = await admin
+      .firestore()
+      .collection("users")
+      .where("role", "==", "super_admin")
+      .get();
+    await notifyUsers(
+      superAdminsSnap.docs,
+      "sla_raised",
+      "push.slaRaised",
+      (locale) => params[locale],
+      { reportId, severity: report.severity }
+    );
+    action = `raised to ${superAdminsSnap.size} super admins`;
+  }
+
+  const stepMs = SLA_ESCALATION_STEP_HOURS.value() * 60 * 60 * 1000;
+
+  await reportDoc.ref.update({
+    slaBreached: true,
+    slaBreachedAt: report.slaBreachedAt || admin.firestore.Timestamp.now(),
+    slaEscalationLevel: level,
+    slaOverdueMinutes: Math.round(
+      (Date.now() - report.slaDueAt.toMillis()) / 60000
+    ),
+    slaNextEscalationAt:
+      level < 3
+        ? admin.firestore.Timestamp.fromMillis(Date.now() + stepMs)
+        : null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  await reportDoc.ref.collection("reportStatus").add({
+    status: "sla_escalated",
+    message: `SLA escalation level ${level}: ${action}`,
+    slaEscalationLevel: level,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  logger.warn(
+    `Report ${reportId} overdue by ${overdueHours}h, escalation level ${level}: ${action}`
+  );
+}
+
+/**
+ * Find reports past their SLA deadline (or due for their next escalation
+ * step) and escalate them
+ */
+exports.escalateOverdueReports = onSchedule(
+  "every 15 minutes",
+  async () => {
+    const dueSnap = await admin
+      .firestore()
+      .collection("reports")
+      .where("slaNextEscalationAt", "<=", admin.firestore.Timestamp.now())
+      .limit(50)
+      .get();
+
+    if (dueSnap.empty) {
+      return;
+    }
+
+    for (const reportDoc of dueSnap.docs) {
+      try {
+        // Closed without going through updateReportStatus (e.g. a cluster
+        // duplicate); nothing left to escalate
+        if (!SLA_OPEN_STATUSES.includes(reportDoc.data().status)) {
+          await reportDoc.ref.update({ slaNextEscalationAt: null });
+          continue;
+        }
+
+        await escalateOverdueReport(reportDoc);
+      } catch (error) {
+        logger.error(`Error escalating report ${reportDoc.id}:`, error);
+      }
+    }
+  }
+);
+
+/**
+ * Reassign every open report of a worker who is leaving. Deactivated and
+ * deleted workers are out of the assignment pool and aren't excluded from
+ * the reports, so they can take them again if they come back; transferred
+ * workers stay active and are excluded when excludeWorker is set. Returns
+ * the number of reports released.
+ */
+async function releaseWorkerReports(
+  workerId,
+  status,
+  message,
+  { excludeWorker = false } = {}
+) {
+  const reportsSnap = await admin
+    .firestore()
+    .collection("reports")
+    .where("assignedTo", "==", workerId)
+    .where("status", "in", WORKER_OPEN_REPORT_STATUSES)
+    .get();
+
+  let released = 0;
+
+  for (const reportDoc of reportsSnap.docs) {
+    try {
+      if (
+        await releaseAndReassign(reportDoc.id, workerId, status, message, {
+          includeAccepted: true,
+          excludeWorker,
+        })
+      ) {
+        released++;
+      }
+    } catch (error) {
+      logger.error(`Error reassigning report ${reportDoc.id}:`, error);
+    }
+  }
+
+  logger.info(`Released ${released} open reports of worker ${workerId}`);
+
+  return released;
+}
+
+/**
+ * Deactivate a worker: disable their sign-in, take them out of assignment
+ * and reassign their open reports
+ */
+exports.deactivateWorker = onCall(async (request) => {
+  try {
+    const workerDoc = await getManagedWorker(request, request.data.uid);
+    const { reason } = request.data;
+
+    // Out of the assignment pool before their reports are handed on
+    await workerDoc.ref.update({
+      isActive: false,
+      deactivatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      deactivatedBy: request.auth.uid,
+      deactivationReason: reason || null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    await admin.auth().updateUser(workerDoc.id, { disabled: true });
+    await admin.auth().revokeRefreshTokens(workerDoc.id);
+
+    const reassignedReports = await releaseWorkerReports(
+      workerDoc.id,
+      "worker_deactivated",
+      "Worker deactivated, reassigning"
+    );
+
+    logger.info(`Worker ${workerDoc.id} deactivated by ${request.auth.uid}`);
+
+    return {
+      success: true,
+      reassignedReports,
+      message: "Worker deactivated",
+    };
+  } catch (error) {
+    logger.error("Deactivate worker error:", error);
+    throw new Error(error.message);
+  }
+});
+
+/**
+ * Reactivate a deactivated worker so they can sign in and receive reports
+ * again
+ */
+exports.reactivateWorker = onCall(async (request) => {
+  try {
+    const workerDoc = await getManagedWorker(request, request.data.uid);
+    const worker = workerDoc.data();
+
+    if (["pending", "revoked"].includes(worker.inviteStatus)) {
+      throw new Error("Worker has not completed their invite");
+    }
+    if (!worker.deactivatedAt) {
+      throw new Error("Worker is not deactivated");
+    }
+
+    await admin.auth().updateUser(workerDoc.id, { disabled: false });
+
+    await workerDoc.ref.update({
+      isActive: true,
+      deactivatedAt: null,
+      deactivatedBy: null,
+      deactivationReason: null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    logger.info(`Worker ${workerDoc.id} reactivated by ${request.auth.uid}`);
+
+    return {
+      success: true,
+      message: "Worker reactivated",
+    };
+  } catch (error) {
+    logger.error("Reactivate worker error:", error);
+    throw new Error(error.message);
+  }
+});
+
+/**
+ * Move a worker to another NGO (super admins only, as it affects two
+ * NGOs). Their ngoId claim is updated, and their open reports are released
+ * and reassigned to the best worker of any NGO covering them.
+ */
+exports.transferWorker = onCall(async (request) => {
+  try {
+    requireRole(request, ["super_admin"]);
+
+    const { uid, ngoId } = request.data;
+    const workerDoc = await getManagedWorker(request, uid);
+
+    if (!ngoId) {
+      throw new Error("ngoId is required");
+    }
+    if (workerDoc.data().ngoId === ngoId) {
+      throw new Error("Worker already belongs to this NGO");
+    }
+
+    const ngoDoc = await admin.firestore().collection("ngos").doc(ngoId).get();
+
+    if (!ngoDoc.exists) {
+      throw new Error("NGO not found");
+    }
+
+    const previousNgoId = workerDoc.data().ngoId;
+
+    await setUserClaims(workerDoc.id, workerDoc.data().role, ngoId);
+
+    await workerDoc.ref.update({
+      ngoId,
+      previousNgoId,
+      claimsUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      transferredAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    // Pending invites carry the NGO too
+    const inviteRef = admin
+      .firestore()
+      .collection("workerInvites")
+      .doc(workerDoc.id);
+
+    if ((await inviteRef.get()).exists) {
+      await inviteRef.update({ ngoId });
+    }
+
+    // Still active, so keep them from being picked for these reports
+    // again if their new NGO handles them too
+    const reassignedReports = await releaseWorkerReports(
+      workerDoc.id,
+      "worker_transferred",
+      "Worker moved to another NGO, reassigning",
+      { excludeWorker: true }
+    );
+
+    logger.info(
+      `Worker ${workerDoc.id} moved from NGO ${previousNgoId} to ${ngoId}`
+    );
+
+    return {
+      success: true,
+      reassignedReports,
+      message: "Worker transferred",
+    };
+  } catch (error) {
+    logger.error("Transfer worker error:", error);
+    throw new Error(error.message);
+  }
+});
+
+/**
+ * Delete a worker's Auth account and profile after reassigning their open
+ * reports. Past reports keep the worker's uid and name in their history.
+ */
+exports.deleteWorker = onCall(async (request) => {
+  try {
+    const workerDoc = await getManagedWorker(request, request.data.uid);
+
+    // Out of the assignment pool before their reports are handed on
+    await workerDoc.ref.update({
+      isActive: false,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    const reassignedReports = await releaseWorkerReports(
+      workerDoc.id,
+      "worker_deleted",
+      "Worker removed, reassigning"
+    );
+
+    try {
+      await admin.auth().deleteUser(workerDoc.id);
+    } catch (error) {
+      if (error.code !== "auth/user-not-found") {
+        throw error;
+      }
+    }
+
+    await admin
+      .firestore()
+      .collection("workerInvites")
+      .doc(workerDoc.id)
+      .delete();
+    await workerDoc.ref.delete();
+
+    logger.info(`Worker ${workerDoc.id} deleted by ${request.auth.uid}`);
+
+    return {
+      success: true,
+      reassignedReports,
+      message: "Worker deleted",
+    };
+  } catch (error) {
+    logger.error("Delete worker error:", error);
+    throw new Error(error.message);
+  }
+});
+
+// Legal report status transitions and the roles allowed to make them.
+// Workers may only move reports assigned to them; NGO admins only reports
+// of their own NGO.
+const REPORT_STATUS_TRANSITIONS = {
+  pending: {
+    assigned: ["ngo_admin", "super_admin"],
+    rejected: ["ngo_admin", "super_admin"],
+  },
+  assigned: {
+    in_progress: ["worker"],
+    rejected: ["ngo_admin", "super_admin"],
+  },
+  in_progress: {
+    resolved: ["worker", "ngo_admin", "super_admin"],
+    rejected: ["worker", "ngo_admin", "super_admin"],
+  },
+  needs_review: {
+    resolved: ["ngo_admin", "super_admin"],
+    in_progress: ["ngo_admin", "super_admin"],
+    rejected: ["ngo_admin", "super_admin"],
+  },
+};
+
+/**
+ * Whether an NGO handles a report's category and its service area covers
+ * the report, i.e. the report could have been assigned to it
+ */
+async function ngoCoversReport(ngoId, report) {
+  if (!ngoId || !report.category) {
+    return false;
+  }
+
+  const ngosSnap = await findNgosForCategory(report.category);
+  const ngoDoc = ngosSnap.docs.find((doc) => doc.id === ngoId);
+
+  if (!ngoDoc) {
+    return false;
+  }
+  return report.location
+    ? isInServiceArea(ngoId, ngoDoc.data(), report.location)
+    : !ngoDoc.data().serviceArea;
+}
+
+/**
+ * Change a report's status, enforcing legal transitions and caller roles.
+ * The status change and its reportStatus entry are written atomically.
+ * Resolving an in-progress report requires a stored before/after
+ * verification; below RESOLUTION_MIN_CLEANLINESS_SCORE the report goes to
+ * needs_review for an NGO admin instead.
+ */
+exports.updateReportStatus = onCall(async (request) => {
+  try {
+    const { role } = requireRole(request);
+
+    const { reportId, status, message, assignedTo } = request.data;
+
+    if (!reportId || !status) {
+      throw new Error("reportId and status are required");
+    }
+
+    const callerDoc = await admin
+      .firestore()
+      .collection("users")
+      .doc(request.auth.uid)
+      .get();
+
+    if (!callerDoc.exists) {
+      throw new Error("Caller profile not found");
+    }
+
+    // Role and NGO come from the verified token, not the profile
+    const caller = {
+      ...callerDoc.data(),
+      role,
+      ngoId: request.auth.token.ngoId || null,
+    };
+
+    // Manual assignment needs a valid worker to assign to
+    let assignee = null;
+    if (status === "assigned") {
+      if (!assignedTo) {
+        throw new Error("assignedTo is required when assigning a report");
+      }
+
+      const assigneeDoc = await admin
+        .firestore()
+        .collection("users")
+        .doc(assignedTo)
+        .get();
+      assignee = assigneeDoc.data();
+
+      if (!assignee || assignee.role !== "worker" || !assignee.isActive) {
+        throw new Error("assignedTo must be an active worker");
+      }
+      if (caller.role === "ngo_admin" && assignee.ngoId !== caller.ngoId) {
+        throw new Error("Worker does not belong to your NGO");
+      }
+    }
+
+    const reportRef = admin.firestore().collection("reports").doc(reportId);
+
+    const { previousStatus, newStatus } = await admin
+      .firestore()
+      .runTransaction(async (tx) => {
+        const reportDoc = await tx.get(reportRef);
+
+        if (!reportDoc.exists) {
+          throw new Error("Report not found");
+        }
+
+        const report = reportDoc.data();
+        const currentStatus = report.status || "pending";
+        const allowedRoles =
+          REPORT_STATUS_TRANSITIONS[currentStatus]?.[status];
+
+        if (!allowedRoles) {
+          throw new Error(
+            `Cannot change status from ${currentStatus} to ${status}`
+          );
+        }
+        if (!allowedRoles.includes(caller.role)) {
+          throw new Error(
+            `Role ${caller.role} cannot change status from ${currentStatus} to ${status}`
+          );
+        }
+        if (
+          caller.role === "worker" &&
+          report.assignedTo !== request.auth.uid
+        ) {
+          throw new Error("This report is not assigned to you");
+        }
+        if (
+          caller.role === "ngo_admin" &&
+          report.ngoId &&
+          report.ngoId !== caller.ngoId
+        ) {
+          throw new Error("This report belongs to another NGO");
+        }
+        // Reports without an NGO yet are open to the NGOs that could take
+        // them
+        if (
+          caller.role === "ngo_admin" &&
+          !report.ngoId &&
+          !(await ngoCoversReport(caller.ngoId, report))
+        ) {
+          throw new Error(
+            "This report is outside your NGO's categories or service area"
+          );
+        }
+
+        // Resolution gate: work must be verified with before/after images
+        let newStatus = status;
+        if (currentStatus === "in_progress" && status === "resolved") {
+          if (!report.verification) {
+            throw new Error(
+              "A before/after verification is required to resolve this report"
+            );
+          }
+          if (
+            report.verification.cleanlinessScore <
+            RESOLUTION_MIN_CLEANLINESS_SCORE.value()
+          ) {
+            newStatus = "needs_review";
+          }
+        }
+
+        const update = {
+          status: newStatus,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        };
+        const entry = {
+          status: newStatus,
+          message:
+            newStatus === "needs_review"
+              ? `Cleanliness score ${report.verification.cleanlinessScore} is below ${RESOLUTION_MIN_CLEANLINESS_SCORE.value()}, sent for admin review`
+              : message || `Status changed to ${status}`,
+          changedBy: request.auth.uid,
+          changedByRole: caller.role,
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        };
+
+        if (status === "assigned") {
+          Object.assign(update, {
+            assignedTo,
+            ngoId: assignee.ngoId,
+            assignedAt: admin.firestore.FieldValue.serverTimestamp(),
+            acceptedAt: null,
+            acceptanceDeadline: admin.firestore.Timestamp.fromMillis(
+              Date.now() + ASSIGNMENT_ACCEPT_SLA_MINUTES.value() * 60 * 1000
+            ),
+            assignmentPending: false,
+          });
+          entry.workerId = assignedTo;
+          entry.workerName = assignee.name;
+        } else if (status === "in_progress") {
+          // Starting work implies accepting the task
+          update.startedAt = admin.firestore.FieldValue.serverTimestamp();
+          update.acceptanceDeadline = null;
+          if (!report.acceptedAt) {
+            update.acceptedAt = admin.firestore.FieldValue.serverTimestamp();
+          }
+        } else if (newStatus === "needs_review") {
+          update.reviewRequestedAt =
+            admin.firestore.FieldValue.serverTimestamp();
+        } else if (status === "resolved") {
+          update.resolvedAt = admin.firestore.FieldValue.serverTimestamp();
+          Object.assign(update, getSlaOutcome(report));
+        } else if (status === "rejected") {
+          update.rejectedAt = admin.firestore.FieldValue.serverTimestamp();
+          update.assignmentPending = false;
+          update.acceptanceDeadline = null;
+          update.slaNextEscalationAt = null;
+        }
+
+        if (report.assignedTo && !entry.workerId) {
+          entry.workerId = report.assignedTo;
+        }
+        if (caller.role === "worker") {
+          entry.workerName = caller.name;
+        }
+        if (
+          report.verification &&
+          (status === "resolved" || newStatus === "needs_review")
+        ) {
+          entry.verification = report.verification;
+        }
+
+        tx.update(reportRef, update);
+        tx.set(reportRef.collection("reportStatus").doc(), entry);
+        // A queued report that is assigned by hand or rejected no longer
+        // needs retryPendingAssignments
+        if (currentStatus === "pending") {
+          tx.delete(
+            admin.firestore().collection("assignmentQueue").doc(reportId)
+          );
+        }
+
+        return { previousStatus: currentStatus, newStatus };
+      });
+
+    logger.info(
+      `Report ${reportId} status changed from ${previousStatus} to ${newStatus} by ${request.auth.uid} (${caller.role})`
+    );
+
+    return {
+      success: true,
+      previousStatus,
+      status: newStatus,
+    };
+  } catch (error) {
+    logger.error("Update report status error:", error);
+    throw new Error(error.message);
+  }
+});
+
+// Default and maximum search radius for getReportsNearMe, in km
+const NEARBY_REPORTS_DEFAULT_RADIUS_KM = 2;
+const NEARBY_REPORTS_MAX_RADIUS_KM = 10;
+
+/**
+ * Reports near a location, nearest first. Duplicates are left out unless
+ * asked for by status.
+ */
+exports.getReportsNearMe = onCall(async (request) => {
+  try {
+    requireRole(request);
+
+    const { latitude, longitude, status } = request.data;
+    const radiusKm = request.data.radiusKm ?? NEARBY_REPORTS_DEFAULT_RADIUS_KM;
+
+    if (typeof latitude !== "number" || typeof longitude !== "number") {
+      throw new Error("latitude and longitude are required");
+    }
+
+    if (
+      !Number.isFinite(radiusKm) ||
+      radiusKm <= 0 ||
+      radiusKm > NEARBY_REPORTS_MAX_RADIUS_KM
+    ) {
+      throw new Error(
+        `radiusKm must be greater than 0 and at most ${NEARBY_REPORTS_MAX_RADIUS_KM}`
+      );
+    }
+
+    const nearby = await queryWithinRadius(
+      "reports",
+      "location",
+      { latitude, longitude },
+      radiusKm,
+      (query) => (status ? query.where("status", "==", status) : query)
+    );
+
+    const reports = nearby
+      .filter(({ doc }) => status || doc.data().status !== "duplicate")
+      .slice(0, 50)
+      .map(({ doc, distance }) => {
+        const report = doc.data();
+        return {
+          id: doc.id,
+          category: report.category,
+          severity: report.severity || null,
+          status: report.status,
+          location: report.location,
+          distanceKm: parseFloat(distance.toFixed(2)),
+          createdAt: report.createdAt?.toMillis() || null,
+        };
+      });
+
+    return {
+      radiusKm,
+      reports,
+    };
+  } catch (error) {
+    logger.error("Nearby reports error:", error);
+    throw new Error(error.message);
+  }
+});
+
+// reportStatus entries shown to reporters. Staff also see internal steps
+// such as declines, timeouts and verification.
+const CITIZEN_TIMELINE_STATUSES = [
+  "assigned",
+  "accepted",
+  "in_progress",
+  "needs_review",
+  "resolved",
+  "rejected",
+  "duplicate",
+];
+
+/**
+ * Timeline of a report built from its reportStatus entries, oldest first
+ * and labelled in the caller's language. Reporters get the public steps;
+ * the assigned worker, the NGO's admins and super admins get every entry
+ * with its message.
+ */
+exports.getReportTimeline = onCall(async (request) => {
+  try {
+    const { uid, role, ngoId } = requireRole(request);
+    const { reportId } = request.data;
+
+    if (!reportId) {
+      throw new Error("reportId is required");
+    }
+
+    const reportRef = admin.firestore().collection("reports").doc(reportId);
+    const reportDoc = await reportRef.get();
+
+    if (!reportDoc.exists) {
+      throw new Error("Report not found");
+    }
+
+    const report = reportDoc.data();
+    const isStaff =
+      role === "super_admin" ||
+      (role === "ngo_admin" && report.ngoId === ngoId) ||
+      (role === "worker" && report.assignedTo === uid);
+
+    if (!isStaff && report.userId !== uid) {
+      throw new Error("You can only view the timeline of your own reports");
+    }
+
+    const locale = await getRequestLocale(request);
+    const statusSnap = await reportRef
+      .collection("reportStatus")
+      .orderBy("timestamp", "asc")
+      .get();
+
+    const entries = statusSnap.docs
+      .map((doc) => doc.data())
+      .filter(
+        (entry) => isStaff || CITIZEN_TIMELINE_STATUSES.includes(entry.status)
+      )
+      .map((entry) => ({
+        status: entry.status,
+        // Internal steps have no translated label
+        label:
+          MESSAGES.en[`timeline.${entry.status}`] !== undefined
+            ? t(locale, `timeline.${entry.status}`)
+            : entry.status,
+        workerName: entry.workerName || null,
+        etaMinutes: entry.etaMinutes || null,
+        ...(isStaff
+          ? { message: entry.message || null, workerId: entry.workerId || null }
+          : {}),
+        timestamp: entry.timestamp?.toMillis() || null,
+      }));
+
+    return {
+      reportId,
+      status: report.status,
+      timeline: [
+        {
+          status: "reported",
+          label: t(locale, "timeline.reported"),
+          timestamp: report.createdAt?.toMillis() || null,
+        },
+        ...entries,
+      ],
+    };
+  } catch (error) {
+    logger.error("Report timeline error:", error);
+    throw new Error(error.message);
+  }
+});
+
+/**
+ * Send notification when report status changes to resolved
+ */
+exports.onReportResolved = onDocumentUpdated(
+  "reports/{reportId}",
+  async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+
+    if (isGeohashOnlyUpdate(event, "location")) {
+      return null;
+    }
+
+    // Check if status changed to resolved
+    if (
+      before.status !== "resolved" &&
+      after.status === "resolved" &&
+      after.userId &&
+      (await claimEvent(event, "onReportResolved"))
+    ) {
+      try {
+        const userDoc = await admin
+          .firestore()
+          .collection("users")
+          .doc(after.userId)
+          .get();
+
+        const userData = userDoc.data();
+        const locale = getUserLocale(userData);
+
+        // Email the reporter in their language
+        const email = await getUserEmail(after.userId, userData);
+
+        if (email) {
+          await queueMail({
+            to: email,
+            template: "reportResolved",
+            locale,
+            data: {
+              name: userData?.name || "",
+              category: await getCategoryLabel(after.category, locale),
+            },
+          });
+        }
+
+        await notifyUsers(
+          [userDoc],
+          "report_resolved",
+          "push.reportResolved",
+          () => ({}),
+          { reportId: event.params.reportId }
+        );
+        logger.info("Resolution notification sent to user");
+      } catch (error) {
+        logger.error("Error sending resolution notification:", error);
+        await releaseEvent(event, "onReportResolved");
+        throw error;
+      }
+    }
+
+    return null;
+  }
+);
+/**
+ * Send welcome notification when a new worker is created
+ */
+exports.onWorkerCreated = onDocumentCreated("users/{userId}", async (event) => {
+  const userData = event.data.data();
+
+  // Check if new user is a worker
+  if (
+    userData.role === "worker" &&
+    (await claimEvent(event, "onWorkerCreated"))
+  ) {
+    try {
+      await notifyUsers([event.data], "worker_welcome", "push.workerWelcome");
+      logger.info("Welcome notification sent to new worker");
+    } catch (error) {
+      logger.error("Error sending welcome notification:", error);
+      await releaseEvent(event, "onWorkerCreated");
+      throw error;
+    }
+  }
+
+  return null;
+});
+
+/**
+ * Send notification to worker when a report is assigned to them
+ */
+exports.onReportAssigned = onDocumentUpdated(
+  "reports/{reportId}",
+  async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    const reportId = event.params.reportId;
+
+    if (isGeohashOnlyUpdate(event, "location")) {
+      return null;
+    }
+
+    // Check if assignedTo field changed to a (new) worker uid
+    if (
+      after.assignedTo &&
+      before.assignedTo !== after.assignedTo &&
+      (await claimEvent(event, "onReportAssigned"))
+    ) {
+      try {
+        const workerDoc = await admin
+          .firestore()
+          .collection("users")
+          .doc(after.assignedTo)
+          .get();
+
+        if (!workerDoc.exists) {
+          logger.info("Worker not found");
+          return null;
+        }
+
+        const workerData = workerDoc.data();
+
+        // Email and notify the worker in their language
+        const locale = getUserLocale(workerData);
+        const category = await getCategoryLabel(after.category, locale);
+        const severity = after.severity
+          ? t(locale, `severity.${after.severity}`)
+          : "";
+
+        const email = await getUserEmail(after.assignedTo, workerData);
+
+        if (email) {
+          await queueMail({
+            to: email,
+            template: "reportAssigned",
+            locale,
+            data: {
+              name: workerData.name || "",
+              category,
+              severity,
+              address: after.location?.address || "",
+              minutes: ASSIGNMENT_ACCEPT_SLA_MINUTES.value(),
+            },
+          });
+        }
+
+        await notifyUsers(
+          [workerDoc],
+          "task_assigned",
+          "push.taskAssigned",
+          () => ({ category, severity }),
+          {
+            reportId,
+            category: after.category,
+            severity: after.severity,
+            address: after.location?.address,
+            latitude: after.location?.latitude,
+            longitude: after.location?.longitude,
+          }
+        );
+        logger.info(
+          `Task assignment notification sent to worker ${after.assignedTo}`
+        );
+      } catch (error) {
+        logger.error("Error sending task assignment notification:", error);
+        await releaseEvent(event, "onReportAssigned");
+        throw error;
+      }
+    }
+
+    return null;
+  }
+);
+
+// Report changes the reporter is told about, besides resolution which
+// onReportResolved handles. Keys are report statuses, plus "accepted" for
+// a worker accepting the assignment.
+const REPORTER_UPDATES = {
+  assigned: { type: "report_assigned", messageKey: "push.reportAssigned" },
+  accepted: { type: "report_accepted", messageKey: "push.reportAccepted" },
+  in_progress: {
+    type: "report_in_progress",
+    messageKey: "push.reportInProgress",
+  },
+  needs_review: {
+    type: "report_needs_review",
+    messageKey: "push.reportNeedsReview",
+  },
+  // Back to pending: the worker declined, timed out, left or was replaced
+  // after an SLA breach, and the report is being reassigned
+  pending: {
+    type: "report_reassigning",
+    messageKey: "push.reportReassigning",
+  },
+  rejected: { type: "report_rejected", messageKey: "push.reportRejected" },
+  duplicate: { type: "report_duplicate", messageKey: "push.reportDuplicate" },
+};
+
+/**
+ * Keep the reporter updated as their report moves through its lifecycle,
+ * with the worker's name and ETA where known
+ */
+exports.notifyReporterOfProgress = onDocumentUpdated(
+  "reports/{reportId}",
+  async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    const reportId = event.params.reportId;
+
+    if (isGeohashOnlyUpdate(event, "location")) {
+      return null;
+    }
+
+    let change = null;
+    if (before.status !== after.status) {
+      change = after.status;
+    } else if (!before.acceptedAt && after.acceptedAt) {
+      change = "accepted";
+    }
+
+    const update = REPORTER_UPDATES[change];
+
+    if (!update || !after.userId) {
+      return null;
+    }
+
+    if (!(await claimEvent(event, "notifyReporterOfProgress"))) {
+      return null;
+    }
+
+    try {
+      const userDoc = await admin
+        .firestore()
+        .collection("users")
+        .doc(after.userId)
+        .get();
+
+      let workerName = "";
+      if (after.assignedTo) {
+        const workerDoc = await admin
+          .firestore()
+          .collection("users")
+          .doc(after.assignedTo)
+          .get();
+        workerName = workerDoc.data()?.name || "";
+      }
+
+      // ETA only matters until work starts
+      const etaMinutes =
+        change === "assigned" || change === "accepted"
+          ? after.etaMinutes
+          : null;
+      const locale = getUserLocale(userDoc.data());
+      const category = await getCategoryLabel(after.category, locale);
+
+      await notifyUsers(
+        [userDoc],
+        update.type,
+        update.messageKey,
+        () => ({
+          worker: workerName || t(locale, "push.aWorker"),
+          category,
+          eta: etaMinutes ? t(locale, "push.eta", { minutes: etaMinutes }) : "",
+        }),
+        {
+          reportId,
+          status: after.status,
+          workerName,
+          etaMinutes,
+        }
+      );
+
+      logger.info(`Reporter of ${reportId} notified: ${update.type}`);
+    } catch (error) {
+      logger.error(`Error notifying reporter of ${reportId}:`, error);
+      await releaseEvent(event, "notifyReporterOfProgress");
+      throw error;
+    }
+
+    return null;
+  }
+);
+
+// Dashboard counters are bucketed per day in this time zone
+const STATS_TIME_ZONE = "Asia/Kolkata";
+
+// Longest date range getDashboardStats will sum over
+const STATS_MAX_RANGE_DAYS = 366;
+
+// Scope of the city-wide reportStats buckets; NGO buckets use the ngoId
+const CITY_STATS_SCOPE = "city";
+
+/**
+ * Calendar day (YYYY-MM-DD) of a timestamp in STATS_TIME_ZONE
+ */
+function getStatsDate(timestamp) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: STATS_TIME_ZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(timestamp?.toDate?.() || new Date());
+}
+
+/**
+ * Minutes between two timestamps, or 0 if either is missing
+ */
+function minutesBetween(from, to) {
+  if (!from?.toMillis || !to?.toMillis) {
+    return 0;
+  }
+  return Math.max(0, Math.round((to.toMillis() - from.toMillis()) / 60000));
+}
+
+/**
+ * Turn a nested object of numbers into Firestore increments
+ */
+function toIncrements(counters) {
+  return Object.fromEntries(
+    Object.entries(counters).map(([key, value]) => [
+      key,
+      typeof value === "number"
+        ? admin.firestore.FieldValue.increment(value)
+        : toIncrements(value),
+    ])
+  );
+}
+
+/**
+ * Add counters to the day's reportStats buckets. countersByScope maps a
+ * scope (CITY_STATS_SCOPE or an ngoId) to nested increments, e.g.
+ * { city: { reports: 1, byCategory: { "Plastic Waste": 1 } } }.
+ */
+async function incrementReportStats(date, countersByScope) {
+  const statsRef = admin.firestore().collection("reportStats");
+  const batch = admin.firestore().batch();
+
+  Object.entries(countersByScope).forEach(([scope, counters]) => {
+    batch.set(
+      statsRef.doc(`${scope}_${date}`),
+      {
+        scope,
+        date,
+        ...toIncrements(counters),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+  });
+
+  await batch.commit();
+}
+
+/**
+ * Counters for a report as filed: its category, severity and ward
+ */
+function getReportBreakdown(report) {
+  return {
+    reports: 1,
+    byCategory: { [report.category || "Unknown"]: 1 },
+    bySeverity: { [report.severity || "Unknown"]: 1 },
+    byWard: { [report.ward || "Unknown"]: 1 },
+  };
+}
+
+/**
+ * Keep the reportStats dashboard counters up to date as reports move
+ * through their lifecycle:
+ * - a new report counts towards the city's reports by category, severity
+ *   and ward
+ * - its first assignment counts it for the NGO, and records how long it
+ *   took to assign
+ * - resolution records how long it took to resolve and the worker's
+ *   throughput
+ * Status counts come from countReportStatus.
+ */
+exports.updateReportStats = onDocumentWritten(
+  "reports/{reportId}",
+  async (event) => {
+    const before = event.data.before.exists ? event.data.before.data() : null;
+    const after = event.data.after.exists ? event.data.after.data() : null;
+
+    if (!after || isGeohashOnlyUpdate(event, "location")) {
+      return null;
+    }
+
+    const created = !before;
+    // Released reports keep assignedAt, so reassigning them isn't counted
+    const firstAssigned = Boolean(
+      before && !before.assignedAt && after.assignedAt
+    );
+    const resolved = Boolean(
+      before && before.status !== "resolved" && after.status === "resolved"
+    );
+
+    if (!created && !firstAssigned && !resolved) {
+      return null;
+    }
+
+    if (!(await claimEvent(event, "updateReportStats"))) {
+      return null;
+    }
+
+    try {
+      if (created) {
+        await incrementReportStats(getStatsDate(after.createdAt), {
+          [CITY_STATS_SCOPE]: getReportBreakdown(after),
+        });
+      }
+
+      if (firstAssigned) {
+        const assignment = {
+          assigned: 1,
+          assignMinutesTotal: minutesBetween(after.createdAt, after.assignedAt),
+        };
+        // The city counted the report when it was filed; the NGO counts it
+        // once it is routed there
+        await incrementReportStats(getStatsDate(after.assignedAt), {
+          [CITY_STATS_SCOPE]: assignment,
+          [after.ngoId]: { ...getReportBreakdown(after), ...assignment },
+        });
+      }
+
+      if (resolved) {
+        const resolveMinutes = minutesBetween(
+          after.createdAt,
+          after.resolvedAt
+        );
+        const resolution = {
+          resolved: 1,
+          resolveMinutesTotal: resolveMinutes,
+          ...(after.assignedTo
+            ? {
+                byWorker: {
+                  [after.assignedTo]: {
+                    resolved: 1,
+                    resolveMinutesTotal: resolveMinutes,
+                  },
+                },
+              }
+            : {}),
+        };
+        await incrementReportStats(getStatsDate(after.resolvedAt), {
+          [CITY_STATS_SCOPE]: resolution,
+          ...(after.ngoId ? { [after.ngoId]: resolution } : {}),
+        });
+      }
+    } catch (error) {
+      logger.error(`Error updating stats for ${event.params.reportId}:`, error);
+      await releaseEvent(event, "updateReportStats");
+      throw error;
+    }
+
+    return null;
+  }
+);
+
+// Statuses a report itself can have. reportStatus entries with any other
+// status (declined, sla_escalated, verification_submitted, ...) record
+// events rather than status changes.
+const REPORT_STATUSES = [
+  "pending",
+  "assigned",
+  "in_progress",
+  "needs_review",
+  "resolved",
+  "rejected",
+  "duplicate",
+];
+
+/**
+ * Count each status change towards the day's reports by status, for the
+ * city and for the report's NGO. Event entries aren't counted.
+ */
+exports.countReportStatus = onDocumentCreated(
+  "reports/{reportId}/reportStatus/{statusId}",
+  async (event) => {
+    const entry = event.data.data();
+
+    if (
+      !REPORT_STATUSES.includes(entry.status) ||
+      !(await claimEvent(event, "countReportStatus"))
+    ) {
+      return null;
+    }
+
+    try {
+      const reportDoc = await admin
+        .firestore()
+        .collection("reports")
+        .doc(event.params.reportId)
+        .get();
+      const ngoId = reportDoc.data()?.ngoId;
+      const counters = { byStatus: { [entry.status]: 1 } };
+
+      await incrementReportStats(getStatsDate(entry.timestamp), {
+        [CITY_STATS_SCOPE]: counters,
+        ...(ngoId ? { [ngoId]: counters } : {}),
+      });
+    } catch (error) {
+      logger.error(
+        `Error counting status for ${event.params.reportId}:`,
+        error
+      );
+      await releaseEvent(event, "countReportStatus");
+      throw error;
+    }
+
+    return null;
+  }
+);
+
+/**
+ * Add one reportStats bucket's counters into running totals
+ */
+function addStatsInto(totals, bucket) {
+  Object.entries(bucket).forEach(([key, value]) => {
+    if (typeof value === "number") {
+      totals[key] = (totals[key] || 0) + value;
+    } else if (value && typeof value === "object" && !value.toMillis) {
+      totals[key] = addStatsInto(totals[key] || {}, value);
+    }
+  });
+  return totals;
+}
+
+/**
+ * Validate a { startDate, endDate } request (YYYY-MM-DD in STATS_TIME_ZONE),
+ * defaulting to the 30 days up to today
+ */
+function getStatsDateRange(data) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const dayMs = 24 * 60 * 60 * 1000;
+  const endDate = data.endDate || getStatsDate();
+  const startDate =
+    data.startDate ||
+    (datePattern.test(endDate)
+      ? new Date(Date.parse(endDate) - 29 * dayMs).toISOString().slice(0, 10)
+      : "");
+
+  if (
+    ![startDate, endDate].every(
+      (date) => datePattern.test(date) && !isNaN(Date.parse(date))
+    )
+  ) {
+    throw new Error("startDate and endDate must be YYYY-MM-DD");
+  }
+
+  const rangeDays = (Date.parse(endDate) - Date.parse(startDate)) / dayMs;
+
+  if (!(rangeDays >= 0) || rangeDays >= STATS_MAX_RANGE_DAYS) {
+    throw new Error(
+      `Date range must run forwards and cover at most ${STATS_MAX_RANGE_DAYS} days`
+    );
+  }
+
+  return { startDate, endDate };
+}
+
+/**
+ * NGO a statistics request covers: always their own for NGO admins, else
+ * data.ngoId, or null for the whole city
+ */
+function getStatsNgoId(caller, data) {
+  if (caller.role !== "ngo_admin") {
+    return data.ngoId || null;
+  }
+  if (!caller.ngoId) {
+    throw new Error("Your account is not linked to an NGO");
+  }
+  return caller.ngoId;
+}
+
+/**
+ * Dashboard statistics for a date range, summed from the daily reportStats
+ * buckets. NGO admins see their own NGO; city officials and super admins
+ * see the whole city or, with ngoId, one NGO. Dates are YYYY-MM-DD in
+ * STATS_TIME_ZONE and default to the last 30 days.
+ */
+exports.getDashboardStats = onCall(async (request) => {
+  try {
+    const caller = requireRole(request, [
+      "ngo_admin",
+      "city_official",
+      "super_admin",
+    ]);
+
+    const { startDate, endDate } = getStatsDateRange(request.data);
+    const ngoId = getStatsNgoId(caller, request.data);
+
+    const bucketsSnap = await admin
+      .firestore()
+      .collection("reportStats")
+      .where("scope", "==", ngoId || CITY_STATS_SCOPE)
+      .where("date", ">=", startDate)
+      .where("date", "<=", endDate)
+      .get();
+
+    const totals = {};
+    // scope, date and updatedAt aren't numbers and are skipped
+    bucketsSnap.docs.forEach((doc) => addStatsInto(totals, doc.data()));
+
+    const workerIds = Object.keys(totals.byWorker || {});
+    const workerDocs = workerIds.length
+      ? await admin
+          .firestore()
+          .getAll(
+            ...workerIds.map((id) =>
+              admin.firestore().collection("users").doc(id)
+            )
+          )
+      : [];
+
+    const workers = workerDocs
+      .map((doc) => {
+        const worker = totals.byWorker[doc.id];
+        return {
+          workerId: doc.id,
+          name: doc.data()?.name || "",
+          resolved: worker.resolved || 0,
+          meanResolveMinutes: worker.resolved
+            ? Math.round(worker.resolveMinutesTotal / worker.resolved)
+            : null,
+        };
+      })
+      .sort((a, b) => b.resolved - a.resolved);
+
+    return {
+      success: true,
+      ngoId,
+      startDate,
+      endDate,
+      reports: totals.reports || 0,
+      assigned: totals.assigned || 0,
+      resolved: totals.resolved || 0,
+      byCategory: totals.byCategory || {},
+      bySeverity: totals.bySeverity || {},
+      byWard: totals.byWard || {},
+      byStatus: totals.byStatus || {},
+      meanAssignMinutes: totals.assigned
+        ? Math.round(totals.assignMinutesTotal / totals.assigned)
+        : null,
+      meanResolveMinutes: totals.resolved
+        ? Math.round(totals.resolveMinutesTotal / totals.resolved)
+        : null,
+      workers,
+    };
+  } catch (error) {
+    logger.error("Get dashboard stats error:", error);
+    throw new Error(error.message);
+  }
+});
+
+// Report exports: reports are read in pages of REPORT_EXPORT_PAGE_SIZE,
+// at most REPORT_EXPORT_MAX_REPORTS per export, and download links last
+// REPORT_EXPORT_LINK_DAYS
+const REPORT_EXPORT_PAGE_SIZE = 500;
+const REPORT_EXPORT_MAX_REPORTS = 10000;
+const REPORT_EXPORT_LINK_DAYS = 7;
+
+// Report columns in the export CSV; reporter identity is left out
+const REPORT_EXPORT_FIELDS = [
+  "category",
+  "severity",
+  "status",
+  "ward",
+  "ngoId",
+  "assignedTo",
+  "duplicateOf",
+  "slaDueAt",
+  "slaBreached",
+  "resolvedWithinSla",
+  "createdAt",
+  "assignedAt",
+  "resolvedAt",
+];
+
+/**
+ * Start of a YYYY-MM-DD day in STATS_TIME_ZONE, in milliseconds
+ */
+function getStatsDayStart(date) {
+  const offset = new Intl.DateTimeFormat("en-US", {
+    timeZone: STATS_TIME_ZONE,
+    timeZoneName: "longOffset",
+  })
+    .formatToParts(new Date(`${date}T12:00:00Z`))
+    .find((part) => part.type === "timeZoneName")
+    .value.replace("GMT", "");
+
+  return Date.parse(`${date}T00:00:00${offset || "Z"}`);
+}
+
+/**
+ * A report field as plain JSON: timestamps become ISO strings
+ */
+function toExportValue(value) {
+  if (value?.toDate) {
+    return value.toDate().toISOString();
+  }
+  return value ?? null;
+}
+
+/**
+ * Reports created between startDate and endDate (inclusive, YYYY-MM-DD),
+ * optionally for one NGO, each with its reportStatus history oldest first
+ */
+async function loadReportsForExport(startDate, endDate, ngoId) {
+  let query = admin
+    .firestore()
+    .collection("reports")
+    .where(
+      "createdAt",
+      ">=",
+      admin.firestore.Timestamp.fromMillis(getStatsDayStart(startDate))
+    )
+    .where(
+      "createdAt",
+      "<",
+      admin.firestore.Timestamp.fromMillis(
+        getStatsDayStart(endDate) + 24 * 60 * 60 * 1000
+      )
+    );
+  if (ngoId) {
+    query = query.where("ngoId", "==", ngoId);
+  }
+  query = query.orderBy("createdAt");
+
+  const reports = [];
+  let lastDoc = null;
+
+  while (true) {
+    const pageSnap = await (lastDoc ? query.startAfter(lastDoc) : query)
+      .limit(REPORT_EXPORT_PAGE_SIZE)
+      .get();
+
+    const historySnaps = await Promise.all(
+      pageSnap.docs.map((reportDoc) =>
+        reportDoc.ref.collection("reportStatus").orderBy("timestamp").get()
+      )
+    );
+    pageSnap.docs.forEach((reportDoc, index) => {
+      reports.push({
+        id: reportDoc.id,
+        report: reportDoc.data(),
+        historySnap: historySnaps[index],
+      });
+    });
+
+    if (reports.length > REPORT_EXPORT_MAX_REPORTS) {
+      throw new Error(
+        `Exports are limited to ${REPORT_EXPORT_MAX_REPORTS} reports; choose a shorter date range`
+      );
+    }
+    if (pageSnap.size < REPORT_EXPORT_PAGE_SIZE) {
+      return reports;
+    }
+    lastDoc = pageSnap.docs[pageSnap.docs.length - 1];
+  }
+}
+
+/**
+ * Export reports and their status history for a date range and optional
+ * NGO to Cloud Storage as reports.csv, report_history.csv and
+ * reports.geojson, record the export in reportExports and return it with
+ * signed download links. With skipEmpty, nothing is written and null is
+ * returned when there are no reports.
+ */
+async function writeReportExport({
+  startDate,
+  endDate,
+  ngoId,
+  requestedBy,
+  skipEmpty = false,
+}) {
+  const reports = await loadReportsForExport(startDate, endDate, ngoId);
+
+  if (skipEmpty && reports.length === 0) {
+    logger.info(
+      `No reports ${startDate}..${endDate} for ${ngoId || "the city"}, ` +
+        "skipping export"
+    );
+    return null;
+  }
+  const history = (historySnap) =>
+    historySnap.docs.map((doc) => ({
+      status: doc.data().status,
+      timestamp: toExportValue(doc.data().timestamp),
+      workerId: doc.data().workerId || null,
+      message: doc.data().message || "",
+    }));
+
+  const reportsCsv = [
+    ["reportId", ...REPORT_EXPORT_FIELDS, "latitude", "longitude", "address"],
+    ...reports.map(({ id, report }) => [
+      id,
+      ...REPORT_EXPORT_FIELDS.map((field) => toExportValue(report[field])),
+      report.location?.latitude,
+      report.location?.longitude,
+      report.location?.address,
+    ]),
+  ];
+
+  const historyCsv = [
+    ["reportId", "status", "timestamp", "workerId", "message"],
+    ...reports.flatMap(({ id, historySnap }) =>
+      history(historySnap).map((entry) => [
+        id,
+        entry.status,
+        entry.timestamp,
+        entry.workerId,
+        entry.message,
+      ])
+    ),
+  ];
+
+  // GeoJSON positions are [longitude, latitude]; reports without a
+  // location are only in the CSV
+  const geojson = {
+    type: "FeatureCollection",
+    features: reports
+      .filter(({ report }) => report.location?.latitude != null)
+      .map(({ id, report, historySnap }) => ({
+        type: "Feature",
+        id,
+        geometry: {
+          type: "Point",
+          coordinates: [report.location.longitude, report.location.latitude],
+        },
+        properties: {
+          reportId: id,
+          ...Object.fromEntries(
+            REPORT_EXPORT_FIELDS.map((field) => [
+              field,
+              toExportValue(report[field]),
+            ])
+          ),
+          address: report.location.address || null,
+          history: history(historySnap),
+        },
+      })),
+  };
+
+  const exportRef = admin.firestore().collection("reportExports").doc();
+  const toCsv = (rows) =>
+    rows.map((fields) => fields.map(toCsvField).join(",")).join("\n");
+  const files = {
+    reportsCsv: ["reports.csv", toCsv(reportsCsv), "text/csv"],
+    historyCsv: ["report_history.csv", toCsv(historyCsv), "text/csv"],
+    geojson: [
+      "reports.geojson",
+      JSON.stringify(geojson),
+      "application/geo+json",
+    ],
+  };
+
+  const paths = {};
+  const urls = {};
+  for (const [key, [name, contents, contentType]] of Object.entries(files)) {
+    paths[key] = `reportExports/${exportRef.id}/${name}`;
+    const file = admin.storage().bucket().file(paths[key]);
+    await file.save(contents, { contentType });
+    [urls[key]] = await file.getSignedUrl({
+      action: "read",
+      expires: Date.now() + REPORT_EXPORT_LINK_DAYS * 24 * 60 * 60 * 1000,
+    });
+  }
+
+  const exportRecord = {
+    ngoId: ngoId || null,
+    startDate,
+    endDate,
+    reportCount: reports.length,
+    paths,
+    urls,
+    urlsExpireAt: admin.firestore.Timestamp.fromMillis(
+      Date.now() + REPORT_EXPORT_LINK_DAYS * 24 * 60 * 60 * 1000
+    ),
+    requestedBy,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  await exportRef.set(exportRecord);
+
+  logger.info(
+    `Report export ${exportRef.id}: ${reports.length} reports ` +
+      `${startDate}..${endDate} for ${ngoId || "the city"}`
+  );
+
+  return { exportId: exportRef.id, ...exportRecord };
+}
 
 /**
- * analyzeGarbageImage Function - With Gemini AI as fallback
+ * Export reports with their status history as CSV and GeoJSON. NGO admins
+ * export their own NGO's reports; city officials and super admins export
+ * the whole city or, with ngoId, one NGO. Dates default to the last 30
+ * days.
  */
-exports.analyzeGarbageImage = onCall(
+exports.exportReports = onCall(
   {
-    secrets: [GEMINI_API_KEY],
+    timeoutSeconds: 540,
   },
   async (request) => {
     try {
-      const { imageUri } = request.data;
+      const caller = requireRole(request, [
+        "ngo_admin",
+        "city_official",
+        "super_admin",
+      ]);
+      const { startDate, endDate } = getStatsDateRange(request.data);
+      const ngoId = getStatsNgoId(caller, request.data);
 
-      if (!imageUri) {
-        throw new Error("imageUri is required");
-      }
+      const result = await writeReportExport({
+        startDate,
+        endDate,
+        ngoId,
+        requestedBy: caller.uid,
+      });
 
-      const garbageKeywords = {
-        "Dead Animals": [
-          "animal",
-          "dead",
-          "carcass",
-          "corpse",
-          "pet",
-          "wildlife",
-          "bird",
-          "dog",
-          "cat",
-        ],
-        "Garbage Collection": [
-          "garbage",
-          "trash",
-          "waste",
-          "litter",
-          "rubbish",
-          "debris",
-          "dump",
-          "refuse",
-        ],
-        "Clean Public Space": [
-          "public",
-          "space",
-          "area",
-          "park",
-          "street",
-          "road",
-          "sidewalk",
-          "pathway",
-        ],
-        "Overflowing Dustbins": [
-          "dustbin",
-          "bin",
-          "overflow",
-          "overflowing",
-          "full",
-          "container",
-          "dumpster",
-          "trash can",
-        ],
-        "Construction Waste": [
-          "construction",
-          "debris",
-          "concrete",
-          "brick",
-          "cement",
-          "rubble",
-          "building material",
-          "demolition",
-        ],
-        "Plastic Waste": [
-          "plastic",
-          "bottle",
-          "bag",
-          "container",
-          "packaging",
-          "wrapper",
-          "polythene",
-          "styrofoam",
-        ],
-        "Organic Waste": [
-          "food",
-          "organic",
-          "vegetable",
-          "fruit",
-          "leftover",
-          "rotten",
-          "compost",
-          "biodegradable",
-        ],
-        "Drain Cleaning": [
-          "drain",
-          "sewer",
-          "gutter",
-          "manhole",
-          "drainage",
-          "blocked",
-          "clogged",
-          "water",
-        ],
+      return {
+        success: true,
+        exportId: result.exportId,
+        reportCount: result.reportCount,
+        startDate,
+        endDate,
+        ngoId,
+        urls: result.urls,
       };
+    } catch (error) {
+      logger.error("Export reports error:", error);
+      throw new Error(error.message);
+    }
+  }
+);
+
+/**
+ * Every night, export the previous day's reports for the whole city and
+ * for each NGO, so partners can pick them up from reportExports. Scopes
+ * with no reports that day get no export.
+ */
+exports.exportReportsNightly = onSchedule(
+  {
+    schedule: "every day 02:00",
+    timeZone: STATS_TIME_ZONE,
+    timeoutSeconds: 540,
+  },
+  async () => {
+    const yesterday = getStatsDate(
+      admin.firestore.Timestamp.fromMillis(Date.now() - 24 * 60 * 60 * 1000)
+    );
+    const ngosSnap = await admin.firestore().collection("ngos").get();
 
-      // Try Google Vision first
+    for (const ngoId of [null, ...ngosSnap.docs.map((doc) => doc.id)]) {
       try {
-        logger.info("Using Google Vision for analysis");
-
-        const [labelResult] = await client.labelDetection(imageUri);
-        const [objectResult] = await client.objectLocalization(imageUri);
-
-        const labels = labelResult.labelAnnotations || [];
-        const objects = objectResult.localizedObjectAnnotations || [];
-
-        let isGarbageDetected = false;
-        let category = "Garbage Collection";
-        let maxScore = 0;
-        let detectedItems = [];
-
-        labels.forEach((label) => {
-          const desc = label.description.toLowerCase();
-          detectedItems.push(label.description);
-
-          Object.keys(garbageKeywords).forEach((cat) => {
-            if (
-              garbageKeywords[cat].some((keyword) => desc.includes(keyword))
-            ) {
-              isGarbageDetected = true;
-              if (label.score > maxScore) {
-                maxScore = label.score;
-                category = cat;
-              }
-            }
-          });
+        await writeReportExport({
+          startDate: yesterday,
+          endDate: yesterday,
+          ngoId,
+          requestedBy: "schedule",
+          skipEmpty: true,
         });
+      } catch (error) {
+        logger.error(
+          `Error exporting ${yesterday} for ${ngoId || "the city"}:`,
+          error
+        );
+      }
+    }
+  }
+);
 
-        if (!isGarbageDetected) {
-          return {
-            isGarbage: false,
-            category: null,
-            severity: null,
-            confidence: 0,
-            description:
-              "No garbage detected in the image. Please capture an image with visible waste or garbage.",
-            detectedLabels: detectedItems.slice(0, 5),
-            objectCount: 0,
-            analyzedBy: "vision",
-          };
-        }
-
-        const objectCount = objects.length;
-        const avgConfidence =
-          labels.reduce((sum, l) => sum + l.score, 0) / labels.length;
+// Hotspot detection: reports within HOTSPOT_RADIUS_METERS of each other
+// are clustered when at least HOTSPOT_MIN_REPORTS of them fall together,
+// over each rolling window in HOTSPOT_WINDOWS_DAYS
+const HOTSPOT_WINDOWS_DAYS = [30, 90];
+const HOTSPOT_RADIUS_METERS = 150;
+const HOTSPOT_MIN_REPORTS = 3;
+const HOTSPOT_MAX_REPORTS = 20000;
 
-        let severity = "Medium";
-        if (objectCount > 5 && avgConfidence > 0.8) severity = "High";
-        else if (objectCount <= 2 || avgConfidence < 0.5) severity = "Low";
+// Report statuses counted towards hotspots; rejected reports and
+// duplicates of another report are left out
+const HOTSPOT_STATUSES = [
+  "pending",
+  "assigned",
+  "in_progress",
+  "needs_review",
+  "resolved",
+];
 
-        const description = `Detected: ${labels
-          .slice(0, 3)
-          .map((l) => l.description)
-          .join(", ")}. ${objectCount} items identified.`;
+// Heatmap limits: cell size in meters, the largest grid returned and the
+// most reports read for one heatmap (the latest in the date range)
+const HEATMAP_DEFAULT_CELL_METERS = 250;
+const HEATMAP_MIN_CELL_METERS = 50;
+const HEATMAP_MAX_CELLS = 10000;
+const HEATMAP_MAX_RADIUS_KM = 30;
+const HEATMAP_MAX_REPORTS = 20000;
 
-        return {
-          isGarbage: true,
-          category,
-          severity,
-          confidence: parseFloat(avgConfidence.toFixed(2)),
-          description,
-          detectedLabels: detectedItems.slice(0, 5),
-          objectCount,
-          analyzedBy: "vision",
-        };
-      } catch (visionError) {
-        logger.warn(
-          "Google Vision failed, falling back to Gemini AI:",
-          visionError.message
-        );
+// Meters per degree of latitude
+const METERS_PER_DEGREE = 111320;
 
-        // Fallback to Gemini AI
-        try {
-          logger.info("Attempting analysis with Gemini AI");
+/**
+ * Group reports into hotspots with DBSCAN: a report with at least
+ * HOTSPOT_MIN_REPORTS reports (itself included) within HOTSPOT_RADIUS_METERS
+ * starts or extends a cluster. Neighbours are found through a grid of
+ * radius-sized cells. Returns arrays of reports; noise is dropped.
+ */
+function clusterReports(reports) {
+  const radiusKm = HOTSPOT_RADIUS_METERS / 1000;
+  const cellLat = HOTSPOT_RADIUS_METERS / METERS_PER_DEGREE;
+  const cellKey = (report, dRow = 0, dCol = 0) => {
+    const row = Math.floor(report.location.latitude / cellLat) + dRow;
+    // Longitude cells are widened by latitude so they stay radius-sized
+    const cellLng =
+      cellLat / Math.max(Math.cos((row * cellLat * Math.PI) / 180), 0.01);
+    const col = Math.floor(report.location.longitude / cellLng) + dCol;
+    return `${row}:${col}`;
+  };
 
-          // Convert Firebase Storage URL to base64
-          let base64Image = "";
+  const grid = new Map();
+  reports.forEach((report) => {
+    const key = cellKey(report);
+    grid.set(key, [...(grid.get(key) || []), report]);
+  });
 
+  const neighbours = (report) => {
+    const found = [];
+    for (let dRow = -1; dRow <= 1; dRow++) {
+      for (let dCol = -1; dCol <= 1; dCol++) {
+        (grid.get(cellKey(report, dRow, dCol)) || []).forEach((other) => {
           if (
-            imageUri.startsWith("http://") ||
-            imageUri.startsWith("https://")
+            getDistance(
+              report.location.latitude,
+              report.location.longitude,
+              other.location.latitude,
+              other.location.longitude
+            ) <= radiusKm
           ) {
-            // Fetch the image from URL and convert to base64
-            const imageResponse = await fetch(imageUri);
-            const imageBuffer = await imageResponse.arrayBuffer();
-            base64Image = Buffer.from(imageBuffer).toString("base64");
-          } else if (imageUri.includes("base64,")) {
-            // Already base64
-            base64Image = imageUri.split("base64,")[1];
-          } else {
-            // Assume it's already base64
-            base64Image = imageUri;
+            found.push(other);
           }
+        });
+      }
+    }
+    return found;
+  };
 
-          const categoryList = Object.keys(garbageKeywords).join(", ");
+  const clusterOf = new Map();
+  const visited = new Set();
+  const clusters = [];
 
-          const geminiResponse = await fetch(
-            `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_API_KEY.value()}`,
-            {
-              method: "POST",
-              headers: {
-                "Content-Type": "application/json",
-              },
-              body: JSON.stringify({
-                contents: [
-                  {
-                    parts: [
-                      {
-                        text: `Analyze this image and determine if it contains garbage or waste. You MUST classify it into EXACTLY ONE of these categories (use the exact name): ${categoryList}. 
+  reports.forEach((report) => {
+    if (visited.has(report.id)) {
+      return;
+    }
+    visited.add(report.id);
 
-Also determine the severity (Low, Medium, High) based on the amount and type of waste:
-- High: Large amount of waste, overflowing, multiple types
-- Medium: Moderate amount of waste
-- Low: Small amount or minimal waste
+    const seeds = neighbours(report);
+    if (seeds.length < HOTSPOT_MIN_REPORTS) {
+      return;
+    }
 
-Provide a brief description of what you see and list the detected items.
+    const cluster = [report];
+    clusterOf.set(report.id, cluster);
+    clusters.push(cluster);
 
-Respond ONLY with valid JSON in this exact format:
-{
-  "isGarbage": true or false,
-  "category": "exact category name from the list above",
-  "severity": "Low" or "Medium" or "High",
-  "description": "brief description of what you see",
-  "detectedItems": ["item1", "item2", "item3"],
-  "confidence": 0.0 to 1.0
-}`,
-                      },
-                      {
-                        inlineData: {
-                          mimeType: "image/jpeg",
-                          data: base64Image,
-                        },
-                      },
-                    ],
-                  },
-                ],
-              }),
-            }
-          );
+    while (seeds.length) {
+      const next = seeds.pop();
+      if (!clusterOf.has(next.id)) {
+        clusterOf.set(next.id, cluster);
+        cluster.push(next);
+      }
+      if (visited.has(next.id)) {
+        continue;
+      }
+      visited.add(next.id);
 
-          const geminiData = await geminiResponse.json();
+      const nextNeighbours = neighbours(next);
+      if (nextNeighbours.length >= HOTSPOT_MIN_REPORTS) {
+        seeds.push(...nextNeighbours);
+      }
+    }
+  });
 
-          if (geminiData.candidates && geminiData.candidates[0]) {
-            const textContent = geminiData.candidates[0].content.parts[0].text;
+  return clusters;
+}
 
-            // Extract JSON from the response (handle markdown code blocks)
-            let jsonText = textContent;
-            if (textContent.includes("```json")) {
-              jsonText = textContent.split("```json")[1].split("```")[0].trim();
-            } else if (textContent.includes("```")) {
-              jsonText = textContent.split("```")[1].split("```")[0].trim();
-            }
+/**
+ * Most frequent value in a list, or null
+ */
+function getMostCommon(values) {
+  const counts = {};
+  values.filter(Boolean).forEach((value) => {
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return top ? top[0] : null;
+}
 
-            const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-              const result = JSON.parse(jsonMatch[0]);
+/**
+ * Summarise a cluster of reports as a hotspot. The recurrence count is the
+ * number of reports filed after an earlier report there had been resolved,
+ * i.e. how often dumping came back after a cleanup.
+ */
+function summariseHotspot(cluster, windowDays) {
+  const latitude =
+    cluster.reduce((sum, r) => sum + r.location.latitude, 0) / cluster.length;
+  const longitude =
+    cluster.reduce((sum, r) => sum + r.location.longitude, 0) / cluster.length;
+  const radiusMeters = Math.max(
+    ...cluster.map((r) =>
+      Math.round(
+        getDistance(
+          latitude,
+          longitude,
+          r.location.latitude,
+          r.location.longitude
+        ) * 1000
+      )
+    )
+  );
 
-              // Validate category is in our list
-              const validCategories = Object.keys(garbageKeywords);
-              if (!validCategories.includes(result.category)) {
-                // Try to match to closest category
-                result.category = "Garbage Collection"; // Default fallback
-              }
+  const byCreation = [...cluster].sort(
+    (a, b) => a.createdAt.toMillis() - b.createdAt.toMillis()
+  );
+  let firstResolvedAt = Infinity;
+  let recurrenceCount = 0;
+  byCreation.forEach((report) => {
+    if (firstResolvedAt < report.createdAt.toMillis()) {
+      recurrenceCount++;
+    }
+    if (report.resolvedAt) {
+      firstResolvedAt = Math.min(firstResolvedAt, report.resolvedAt.toMillis());
+    }
+  });
 
-              logger.info("Gemini AI analysis successful");
-
-              return {
-                isGarbage: result.isGarbage,
-                category: result.category,
-                severity: result.severity,
-                confidence: result.confidence || 0.85,
-                description: result.description,
-                detectedLabels: result.detectedItems || [],
-                objectCount: result.detectedItems?.length || 0,
-                analyzedBy: "gemini",
-              };
-            }
-          }
+  const categoryCounts = {};
+  cluster.forEach((r) => {
+    categoryCounts[r.category || "Unknown"] =
+      (categoryCounts[r.category || "Unknown"] || 0) + 1;
+  });
 
-          throw new Error("Gemini response format invalid");
-        } catch (geminiError) {
-          logger.error("Gemini AI also failed:", geminiError.message);
-          throw new Error(
-            "Both Vision and Gemini AI failed to analyze the image"
-          );
-        }
-      }
-    } catch (error) {
-      logger.error("Image analysis error:", error);
-      throw new Error("Failed to analyze image: " + error.message);
-    }
-  }
-);
+  return {
+    windowDays,
+    centroid: {
+      latitude,
+      longitude,
+      geohash: geohashForLocation([latitude, longitude]),
+    },
+    radiusMeters,
+    dominantCategory: getMostCommon(cluster.map((r) => r.category)),
+    categoryCounts,
+    reportCount: cluster.length,
+    openCount: cluster.filter((r) => r.status !== "resolved").length,
+    resolvedCount: cluster.filter((r) => r.status === "resolved").length,
+    recurrenceCount,
+    ward: getMostCommon(cluster.map((r) => r.ward)),
+    ngoIds: [...new Set(cluster.map((r) => r.ngoId).filter(Boolean))],
+    reportIds: byCreation.slice(-100).map((r) => r.id),
+    firstReportedAt: byCreation[0].createdAt,
+    lastReportedAt: byCreation[byCreation.length - 1].createdAt,
+  };
+}
 
-exports.createWorker = onCall(
+/**
+ * Every night, cluster the open and resolved reports of each rolling
+ * window into the hotspots collection, replacing the previous run's
+ * hotspots. IDs combine the window and the centroid's geohash, so a
+ * hotspot keeps its ID while its reports barely move its centre.
+ */
+exports.detectHotspots = onSchedule(
   {
-    secrets: [GMAIL_EMAIL, GMAIL_APP_PASSWORD],
+    schedule: "every day 03:00",
+    timeZone: STATS_TIME_ZONE,
+    timeoutSeconds: 540,
   },
-  async (request) => {
-    try {
-      const { email, password, name, phone, ngoId } = request.data;
+  async () => {
+    const longestWindow = Math.max(...HOTSPOT_WINDOWS_DAYS);
+    const reportsSnap = await admin
+      .firestore()
+      .collection("reports")
+      .where(
+        "createdAt",
+        ">=",
+        admin.firestore.Timestamp.fromMillis(
+          Date.now() - longestWindow * 24 * 60 * 60 * 1000
+        )
+      )
+      .orderBy("createdAt", "desc")
+      .limit(HOTSPOT_MAX_REPORTS)
+      .select(
+        "location",
+        "category",
+        "status",
+        "ward",
+        "ngoId",
+        "duplicateOf",
+        "createdAt",
+        "resolvedAt"
+      )
+      .get();
 
-      logger.info("Create worker request for:", email, name, phone);
+    if (reportsSnap.size === HOTSPOT_MAX_REPORTS) {
+      logger.warn(
+        `Hotspot detection limited to the latest ${HOTSPOT_MAX_REPORTS} reports`
+      );
+    }
 
-      // Check if email already exists
-      try {
-        await admin.auth().getUserByEmail(email);
-        // If we get here, user exists
-        throw new Error("A user with this email already exists");
-      } catch (error) {
-        // If error code is user-not-found, continue with creation
-        if (error.code !== "auth/user-not-found") {
-          throw error;
-        }
-      }
+    const reports = reportsSnap.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .filter(
+        (r) =>
+          r.location?.latitude != null &&
+          r.createdAt &&
+          !r.duplicateOf &&
+          HOTSPOT_STATUSES.includes(r.status || "pending")
+      );
 
-      // Create Firebase Auth user
-      const userRecord = await admin.auth().createUser({
-        email,
-        password,
-        displayName: name,
-      });
+    const hotspotsRef = admin.firestore().collection("hotspots");
+    const writes = [];
+    const keep = new Set();
 
-      // Firestore document
-      await admin.firestore().collection("users").doc(userRecord.uid).set({
-        uid: userRecord.uid,
-        email,
-        name,
-        ngoId,
-        phone,
-        isActive: false,
-        role: "worker",
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
+    for (const windowDays of HOTSPOT_WINDOWS_DAYS) {
+      const since = Date.now() - windowDays * 24 * 60 * 60 * 1000;
+      const clusters = clusterReports(
+        reports.filter((r) => r.createdAt.toMillis() >= since)
+      );
 
-      // Nodemailer using Secrets
-      const transporter = nodemailer.createTransport({
-        service: "gmail",
-        auth: {
-          user: GMAIL_EMAIL.value(),
-          pass: GMAIL_APP_PASSWORD.value(),
-        },
+      clusters.forEach((cluster) => {
+        const hotspot = summariseHotspot(cluster, windowDays);
+        const id = `${windowDays}d_${hotspot.centroid.geohash.slice(0, 8)}`;
+        keep.add(id);
+        writes.push((batch) =>
+          batch.set(hotspotsRef.doc(id), {
+            ...hotspot,
+            detectedAt: admin.firestore.FieldValue.serverTimestamp(),
+          })
+        );
       });
 
-      const mailOptions = {
-        from: `SwachhSathi <${GMAIL_EMAIL.value()}>`,
-        to: email,
-        subject: "Welcome to SwachhSathi - Worker Account Created",
-        html: `
-          <div style="font-family: Arial; max-width: 600px;">
-            <h2>Welcome to SwachhSathi!</h2>
-            <p>Hi ${name},</p>
-            <p>Your worker account has been successfully created.</p>
-            <p><strong>Email:</strong> ${email}</p>
-            <p><strong>Password:</strong> ${password}</p>
-            <p>Please change your password after first login.</p>
-          </div>
-        `,
-      };
+      logger.info(
+        `Found ${clusters.length} hotspots in the last ${windowDays} days`
+      );
+    }
 
-      await transporter.sendMail(mailOptions);
+    const previousSnap = await hotspotsRef.select().get();
+    previousSnap.docs
+      .filter((doc) => !keep.has(doc.id))
+      .forEach((doc) => writes.push((batch) => batch.delete(doc.ref)));
 
-      return {
-        success: true,
-        uid: userRecord.uid,
-        message: "Worker account created successfully",
-      };
-    } catch (error) {
-      logger.error("Create worker error:", error);
-      throw new Error(error.message);
+    // Batches are limited to 500 writes
+    for (let i = 0; i < writes.length; i += 500) {
+      const batch = admin.firestore().batch();
+      writes.slice(i, i + 500).forEach((write) => write(batch));
+      await batch.commit();
     }
   }
 );
 
-exports.compareBeforeAfter = onCall(async (request) => {
+/**
+ * Report counts on a grid over a bounding box, for heatmaps. Reports are
+ * counted by creation date (YYYY-MM-DD, default the last 30 days) and can
+ * be narrowed to a category or status; duplicates and rejected reports are
+ * left out unless that status is asked for. Only cells with reports are
+ * returned. At most HEATMAP_MAX_REPORTS reports are read, newest first, and
+ * truncated is set when the range holds more.
+ */
+exports.getHeatmap = onCall(async (request) => {
   try {
-    const { beforeImageUrl, afterImageUrl } = request.data;
+    const caller = requireRole(request, [
+      "ngo_admin",
+      "city_official",
+      "super_admin",
+    ]);
+    const { north, south, east, west } = request.data.bounds || {};
+    const { category, status } = request.data;
+    const ngoId = getStatsNgoId(caller, request.data);
 
-    if (!beforeImageUrl || !afterImageUrl) {
-      throw new Error("Both before and after image URLs are required");
+    if (![north, south, east, west].every((v) => typeof v === "number")) {
+      throw new Error("bounds must have numeric north, south, east and west");
+    }
+    if (north <= south || east <= west) {
+      throw new Error("bounds must have north > south and east > west");
     }
 
-    // Analyze both images
-    const [beforeResult] = await client.labelDetection(beforeImageUrl);
-    const [afterResult] = await client.labelDetection(afterImageUrl);
+    const { startDate, endDate } = getStatsDateRange(request.data);
+    const from = getStatsDayStart(startDate);
+    const to = getStatsDayStart(endDate) + 24 * 60 * 60 * 1000;
 
-    const beforeLabels = beforeResult.labelAnnotations.map((label) =>
-      label.description.toLowerCase()
+    const cellMeters = Math.max(
+      Number(request.data.cellSizeMeters) || HEATMAP_DEFAULT_CELL_METERS,
+      HEATMAP_MIN_CELL_METERS
     );
-    const afterLabels = afterResult.labelAnnotations.map((label) =>
-      label.description.toLowerCase()
+    const cellLat = cellMeters / METERS_PER_DEGREE;
+    const cellLng =
+      cellLat / Math.cos((((north + south) / 2) * Math.PI) / 180);
+    const rows = Math.ceil((north - south) / cellLat);
+    const cols = Math.ceil((east - west) / cellLng);
+
+    if (rows * cols > HEATMAP_MAX_CELLS) {
+      throw new Error(
+        `Grid would have ${rows * cols} cells; use a larger cellSizeMeters or smaller bounds (at most ${HEATMAP_MAX_CELLS} cells)`
+      );
+    }
+
+    const radiusKm = getDistance(
+      (north + south) / 2,
+      (east + west) / 2,
+      north,
+      east
     );
 
-    // Garbage-related keywords
-    const garbageKeywords = [
-      "waste",
-      "garbage",
-      "trash",
-      "litter",
-      "rubbish",
-      "debris",
-      "plastic",
-      "bottle",
-      "bag",
-      "wrapper",
-      "container",
-      "pollution",
-    ];
+    if (radiusKm > HEATMAP_MAX_RADIUS_KM) {
+      throw new Error(
+        `bounds must fit within ${HEATMAP_MAX_RADIUS_KM} km of their centre`
+      );
+    }
 
-    // Count garbage indicators in both images
-    const beforeGarbageCount = beforeLabels.filter((label) =>
-      garbageKeywords.some((keyword) => label.includes(keyword))
-    ).length;
+    // Read the date range, newest first, then keep reports inside the box
+    let query = admin.firestore().collection("reports");
+    if (ngoId) {
+      query = query.where("ngoId", "==", ngoId);
+    }
+    const reportsSnap = await query
+      .where("createdAt", ">=", admin.firestore.Timestamp.fromMillis(from))
+      .where("createdAt", "<", admin.firestore.Timestamp.fromMillis(to))
+      .orderBy("createdAt", "desc")
+      .limit(HEATMAP_MAX_REPORTS)
+      .select("location", "createdAt", "category", "status", "duplicateOf")
+      .get();
+    const truncated = reportsSnap.size === HEATMAP_MAX_REPORTS;
 
-    const afterGarbageCount = afterLabels.filter((label) =>
-      garbageKeywords.some((keyword) => label.includes(keyword))
-    ).length;
+    if (truncated) {
+      logger.warn(
+        `Heatmap ${startDate}..${endDate} limited to the latest ${HEATMAP_MAX_REPORTS} reports`
+      );
+    }
 
-    // Clean indicators
-    const cleanKeywords = [
-      "clean",
-      "tidy",
-      "neat",
-      "organized",
-      "clear",
-      "empty",
-    ];
-    const afterCleanCount = afterLabels.filter((label) =>
-      cleanKeywords.some((keyword) => label.includes(keyword))
-    ).length;
+    const counts = new Map();
+    let total = 0;
+    reportsSnap.docs.forEach((doc) => {
+      const report = doc.data();
+      if (report.location?.latitude == null) {
+        return;
+      }
+      const { latitude, longitude } = report.location;
 
-    // Calculate cleanliness score (0-100)
-    const garbageReduction = Math.max(
-      0,
-      beforeGarbageCount - afterGarbageCount
-    );
-    const cleanlinessScore = Math.min(
-      100,
-      Math.round(
-        (garbageReduction / Math.max(beforeGarbageCount, 1)) * 60 +
-          afterCleanCount * 10 +
-          (afterGarbageCount === 0 ? 20 : 0)
-      )
-    );
+      if (
+        latitude < south ||
+        latitude > north ||
+        longitude < west ||
+        longitude > east ||
+        (category && report.category !== category) ||
+        (status
+          ? report.status !== status
+          : report.duplicateOf ||
+            !HOTSPOT_STATUSES.includes(report.status || "pending"))
+      ) {
+        return;
+      }
 
-    // Determine if area is clean enough
-    const isClean =
-      cleanlinessScore >= 70 ||
-      (afterGarbageCount === 0 && beforeGarbageCount > 0);
+      const row = Math.min(Math.floor((latitude - south) / cellLat), rows - 1);
+      const col = Math.min(Math.floor((longitude - west) / cellLng), cols - 1);
+      const key = `${row}:${col}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+      total++;
+    });
 
-    let message;
-    if (isClean) {
-      message = "Great job! The area has been successfully cleaned.";
-    } else if (cleanlinessScore >= 50) {
-      message = "Good progress, but the area needs more cleaning.";
-    } else {
-      message =
-        "The area still appears to have significant garbage. Please clean more thoroughly.";
-    }
+    const cells = [...counts.entries()].map(([key, count]) => {
+      const [row, col] = key.split(":").map(Number);
+      return {
+        row,
+        col,
+        south: south + row * cellLat,
+        west: west + col * cellLng,
+        north: Math.min(south + (row + 1) * cellLat, north),
+        east: Math.min(west + (col + 1) * cellLng, east),
+        count,
+      };
+    });
 
     return {
-      isClean,
-      message,
-      cleanlinessScore,
-      beforeLabels: beforeLabels.slice(0, 10),
-      afterLabels: afterLabels.slice(0, 10),
-      garbageReduction,
-      beforeGarbageCount,
-      afterGarbageCount,
+      success: true,
+      startDate,
+      endDate,
+      ngoId,
+      cellSizeMeters: cellMeters,
+      rows,
+      cols,
+      total,
+      maxCount: Math.max(0, ...cells.map((cell) => cell.count)),
+      truncated,
+      cells,
     };
   } catch (error) {
-    console.error("Error comparing images:", error);
-    throw new Error("Failed to compare images: " + error.message);
+    logger.error("Get heatmap error:", error);
+    throw new Error(error.message);
   }
 });
 
-exports.autoAssignNearestWorker = onDocumentCreated(
-  "reports/{reportId}",
-  async (event) => {
-    const report = event.data.data();
-    const reportId = event.params.reportId;
+// Eco-points credited to citizens for each kind of contribution
+const ECO_POINTS = {
+  scan: 2,
+  report_verified: 10,
+  report_resolved: 20,
+};
+
+// Scans only earn points when the classifier recognised waste with at
+// least this confidence
+const ECO_MIN_SCAN_CONFIDENCE = 60;
+
+// Most times a citizen can earn points for a reason per day (in
+// STATS_TIME_ZONE); reasons not listed have no limit
+const ECO_DAILY_LIMITS = { scan: 10 };
+
+// Badge milestones, by eco-points or by how many times a citizen earned
+// points for one reason (ecoCounts)
+const ECO_BADGES = [
+  { id: "first_scan", reason: "scan", count: 1 },
+  { id: "waste_sorter", reason: "scan", count: 50 },
+  { id: "first_report", reason: "report_verified", count: 1 },
+  { id: "neighbourhood_hero", reason: "report_resolved", count: 10 },
+  { id: "eco_champion", points: 1000 },
+];
+
+// Largest leaderboard getLeaderboard returns
+const LEADERBOARD_MAX_SIZE = 100;
+
+/**
+ * Badges a citizen qualifies for with the given points and counts
+ */
+function getEarnedBadges(points, counts) {
+  return ECO_BADGES.filter((badge) =>
+    badge.points
+      ? points >= badge.points
+      : (counts[badge.reason] || 0) >= badge.count
+  ).map((badge) => badge.id);
+}
+
+/**
+ * wardPoints document ID for a citizen in a ward. Ward names can contain
+ * "/", which isn't allowed in document IDs, so it is escaped (and "%" with
+ * it, to keep IDs distinct).
+ */
+function getWardPointsId(ward, userId) {
+  const escaped = String(ward).replace(/%/g, "%25").replace(/\//g, "%2F");
+  return `${escaped}_${userId}`;
+}
+
+/**
+ * Credit a citizen with eco-points for one contribution and award any
+ * badges they reach. The ledger entry ID is derived from the reason and
+ * source, so a contribution is only ever credited once. With imageUri, the
+ * image is claimed for the citizen (scannedImages) and never earns points
+ * again. Staff don't earn points, and nobody earns points past the day's
+ * ECO_DAILY_LIMITS, which are counted on the user (ecoDailyCounts). All
+ * checks run in the crediting transaction. Returns the points credited (0
+ * if not).
+ */
+async function creditEcoPoints(
+  userId,
+  reason,
+  sourceId,
+  ward,
+  { imageUri } = {}
+) {
+  const points = ECO_POINTS[reason];
+  const dailyLimit = ECO_DAILY_LIMITS[reason];
+  const today = getStatsDate();
+  const userRef = admin.firestore().collection("users").doc(userId);
+  const ledgerRef = admin
+    .firestore()
+    .collection("pointsLedger")
+    .doc(`${reason}_${sourceId}`);
+  const imageRef = imageUri
+    ? admin
+        .firestore()
+        .collection("scannedImages")
+        .doc(
+          crypto
+            .createHash("sha256")
+            .update(`${userId}_${imageUri}`)
+            .digest("hex")
+        )
+    : null;
+
+  const result = await admin.firestore().runTransaction(async (tx) => {
+    const [ledgerDoc, userDoc, imageDoc] = await Promise.all([
+      tx.get(ledgerRef),
+      tx.get(userRef),
+      imageRef ? tx.get(imageRef) : null,
+    ]);
+    const user = userDoc.data();
 
     if (
-      !report ||
-      !report.location ||
-      !report.location.latitude ||
-      !report.location.longitude
+      ledgerDoc.exists ||
+      !userDoc.exists ||
+      (user.role && user.role !== "citizen")
     ) {
-      logger.info("Report location missing, skipping assignment.");
-      return;
+      return null;
     }
-
-    if (!report.category) {
-      logger.info("Report category missing, skipping assignment.");
-      return;
+    if (imageDoc?.exists) {
+      return { skipped: "image already earned points" };
     }
 
-    // Step 1: Find NGOs that handle this category
-    const ngosSnap = await admin
-      .firestore()
-      .collection("ngos")
-      .where("categories", "array-contains", report.category)
-      .get();
-
-    if (ngosSnap.empty) {
-      logger.info(`No NGOs found that handle category: ${report.category}`);
-      return;
+    const dailyCounts =
+      user.ecoDailyCounts?.date === today
+        ? user.ecoDailyCounts
+        : { date: today };
+    if (dailyLimit && (dailyCounts[reason] || 0) >= dailyLimit) {
+      return { skipped: `daily ${reason} limit reached` };
     }
 
-    // Step 2: Get all ngoIds that match
-    const matchingNgoIds = ngosSnap.docs.map((doc) => doc.id);
-    logger.info(
-      `Found ${matchingNgoIds.length} NGOs for category ${report.category}`
+    const totalPoints = (user.ecoPoints || 0) + points;
+    const counts = { ...user.ecoCounts };
+    counts[reason] = (counts[reason] || 0) + 1;
+    const newBadges = getEarnedBadges(totalPoints, counts).filter(
+      (id) => !(user.badges || []).includes(id)
     );
 
-    // Step 3: Fetch all active workers from these NGOs
-    const workersSnap = await admin
-      .firestore()
-      .collection("users")
-      .where("role", "==", "worker")
-      .where("isActive", "==", true)
-      .where("ngoId", "in", matchingNgoIds)
-      .get();
+    tx.create(ledgerRef, {
+      userId,
+      reason,
+      sourceId,
+      points,
+      ward: ward || null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    const update = {
+      ecoPoints: admin.firestore.FieldValue.increment(points),
+      [`ecoCounts.${reason}`]: admin.firestore.FieldValue.increment(1),
+    };
+    if (dailyLimit) {
+      update.ecoDailyCounts = {
+        ...dailyCounts,
+        [reason]: (dailyCounts[reason] || 0) + 1,
+      };
+    }
+    if (imageRef) {
+      tx.create(imageRef, {
+        userId,
+        imageUri,
+        sourceId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+    if (newBadges.length) {
+      update.badges = admin.firestore.FieldValue.arrayUnion(...newBadges);
+      newBadges.forEach((id) => {
+        update[`badgeAwardedAt.${id}`] = admin.firestore.Timestamp.now();
+      });
+    }
+    tx.update(userRef, update);
 
-    if (workersSnap.empty) {
-      logger.info("No active workers found for matching NGOs.");
-      return;
+    if (ward) {
+      tx.set(
+        admin
+          .firestore()
+          .collection("wardPoints")
+          .doc(getWardPointsId(ward, userId)),
+        {
+          ward,
+          userId,
+          points: admin.firestore.FieldValue.increment(points),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      );
     }
 
-    // Haversine formula to calculate distance between two lat/lng points
-    function getDistance(lat1, lon1, lat2, lon2) {
-      function toRad(x) {
-        return (x * Math.PI) / 180;
-      }
-      const R = 6371; // km
-      const dLat = toRad(lat2 - lat1);
-      const dLon = toRad(lon2 - lon1);
-      const a =
-        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(toRad(lat1)) *
-          Math.cos(toRad(lat2)) *
-          Math.sin(dLon / 2) *
-          Math.sin(dLon / 2);
-      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-      return R * c;
+    return { totalPoints, newBadges };
+  });
+
+  if (!result) {
+    return 0;
+  }
+  if (result.skipped) {
+    logger.info(`No ${reason} points for user ${userId}: ${result.skipped}`);
+    return 0;
+  }
+
+  logger.info(`User ${userId} earned ${points} points for ${reason}`);
+
+  if (result.newBadges.length) {
+    const userDoc = await userRef.get();
+    for (const id of result.newBadges) {
+      await notifyUsers(
+        [userDoc],
+        "badge_earned",
+        "push.badgeEarned",
+        (locale) => ({
+          badge: t(locale, `badge.${id}`),
+          points: result.totalPoints,
+        }),
+        { badge: id }
+      );
     }
+  }
 
-    let nearestWorker = null;
-    let minDistance = Number.POSITIVE_INFINITY;
+  return points;
+}
 
-    workersSnap.forEach((doc) => {
-      const worker = doc.data();
-      if (
-        worker.currentLocation &&
-        worker.currentLocation.latitude &&
-        worker.currentLocation.longitude
-      ) {
-        const dist = getDistance(
-          report.location.latitude,
-          report.location.longitude,
-          worker.currentLocation.latitude,
-          worker.currentLocation.longitude
-        );
-        if (dist < minDistance) {
-          minDistance = dist;
-          nearestWorker = {
-            uid: worker.uid,
-            name: worker.name,
-            email: worker.email,
-            ngoId: worker.ngoId,
-            distance: dist,
-          };
-        }
-      }
-    });
+/**
+ * Credit eco-points for a waste scan. Scans of unrecognised or
+ * low-confidence images, repeat scans of the same image and scans past the
+ * daily limit earn nothing.
+ */
+exports.awardScanPoints = onDocumentCreated(
+  "wasteScans/{scanId}",
+  async (event) => {
+    const scan = event.data.data();
+    const scanId = event.params.scanId;
 
-    if (!nearestWorker) {
-      logger.info("No workers with valid location found.");
-      return;
+    if (
+      !scan.userId ||
+      scan.isWaste === false ||
+      (scan.confidence || 0) < ECO_MIN_SCAN_CONFIDENCE
+    ) {
+      return null;
     }
 
-    // Assign the report to the nearest worker and add ngoId
-    await admin.firestore().collection("reports").doc(reportId).update({
-      assignedTo: nearestWorker.uid,
-      ngoId: nearestWorker.ngoId,
-      status: "assigned",
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
+    try {
+      const userDoc = await admin
+        .firestore()
+        .collection("users")
+        .doc(scan.userId)
+        .get();
 
-    // Add a status entry to the reportStatus subcollection with workerName and message
-    await admin.firestore()
-      .collection("reports")
-      .doc(reportId)
-      .collection("reportStatus")
-      .add({
-        status: "assigned",
-        workerId: nearestWorker.uid,
-        workerName: nearestWorker.name,
-        message: `Status changed to assigned`,
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      });
+      await creditEcoPoints(
+        scan.userId,
+        "scan",
+        scanId,
+        userDoc.data()?.ward,
+        { imageUri: scan.imageUri }
+      );
+    } catch (error) {
+      logger.error(`Error awarding points for scan ${scanId}:`, error);
+    }
 
-    logger.info(
-      `Report ${reportId} assigned to worker ${nearestWorker.uid} (${nearestWorker.name}) from NGO ${nearestWorker.ngoId}, distance: ${minDistance.toFixed(2)} km`
-    );
+    return null;
   }
 );
+
 /**
- * Send notification when report status changes to resolved
+ * Credit the reporter with eco-points when the worker's before image
+ * confirms garbage at their report, and again when it is resolved.
+ * Duplicates of an existing report and rejected reports earn nothing.
  */
-exports.onReportResolved = onDocumentUpdated(
+exports.awardReportPoints = onDocumentUpdated(
   "reports/{reportId}",
   async (event) => {
     const before = event.data.before.data();
     const after = event.data.after.data();
+    const reportId = event.params.reportId;
 
-    // Check if status changed to resolved
     if (
-      before.status !== "resolved" &&
-      after.status === "resolved" &&
-      after.userId
+      isGeohashOnlyUpdate(event, "location") ||
+      !after.userId ||
+      after.duplicateOf ||
+      after.status === "duplicate"
     ) {
-      try {
-        // Get user's FCM token
-        const userDoc = await admin
-          .firestore()
-          .collection("users")
-          .doc(after.userId)
-          .get();
-
-        const userData = userDoc.data();
-        const fcmToken = userData?.fcmToken;
-
-        if (!fcmToken) {
-          logger.info("User has no FCM token");
-          return null;
-        }
+      return null;
+    }
 
-        // Send notification
-        const message = {
-          notification: {
-            title: "Report Resolved",
-            body: "Your garbage collection report has been successfully resolved. Thank you for keeping our community clean!",
-          },
-          data: {
-            reportId: event.params.reportId,
-            type: "report_resolved",
-          },
-          token: fcmToken,
-        };
+    const verified =
+      !before.verification &&
+      (after.verification?.beforeGarbageCount || 0) > 0;
+    const resolved =
+      before.status !== "resolved" && after.status === "resolved";
 
-        await admin.messaging().send(message);
-        logger.info("Resolution notification sent to user");
-      } catch (error) {
-        logger.error("Error sending resolution notification:", error);
+    try {
+      if (verified) {
+        await creditEcoPoints(
+          after.userId,
+          "report_verified",
+          reportId,
+          after.ward
+        );
+      }
+      if (resolved) {
+        await creditEcoPoints(
+          after.userId,
+          "report_resolved",
+          reportId,
+          after.ward
+        );
       }
+    } catch (error) {
+      logger.error(`Error awarding points for report ${reportId}:`, error);
     }
 
     return null;
   }
 );
+
 /**
- * Send welcome notification when a new worker is created
+ * The caller's eco-points, contribution counts, badges (labelled in their
+ * language, with the ones still to earn) and latest ledger entries
  */
-exports.onWorkerCreated = onDocumentCreated("users/{userId}", async (event) => {
-  const userData = event.data.data();
+exports.getEcoProfile = onCall(async (request) => {
+  try {
+    const { uid } = requireRole(request);
+    const locale = await getRequestLocale(request);
 
-  // Check if new user is a worker
-  if (userData.role === "worker" && userData.fcmToken) {
-    try {
-      const message = {
-        notification: {
-          title: "Welcome to SwachhSathi",
-          body: "Your worker account has been created. Start making a difference in your community!",
-        },
-        data: {
-          type: "worker_welcome",
-        },
-        token: userData.fcmToken,
-      };
+    const [userDoc, ledgerSnap] = await Promise.all([
+      admin.firestore().collection("users").doc(uid).get(),
+      admin
+        .firestore()
+        .collection("pointsLedger")
+        .where("userId", "==", uid)
+        .orderBy("createdAt", "desc")
+        .limit(20)
+        .get(),
+    ]);
+    const user = userDoc.data() || {};
+    const points = user.ecoPoints || 0;
+    const counts = user.ecoCounts || {};
 
-      await admin.messaging().send(message);
-      logger.info("Welcome notification sent to new worker");
-    } catch (error) {
-      logger.error("Error sending welcome notification:", error);
-    }
+    return {
+      success: true,
+      points,
+      counts,
+      badges: ECO_BADGES.map((badge) => ({
+        id: badge.id,
+        label: t(locale, `badge.${badge.id}`),
+        earned: (user.badges || []).includes(badge.id),
+        awardedAt: user.badgeAwardedAt?.[badge.id]?.toMillis() || null,
+        progress: badge.points
+          ? Math.min(points, badge.points)
+          : Math.min(counts[badge.reason] || 0, badge.count),
+        target: badge.points || badge.count,
+      })),
+      history: ledgerSnap.docs.map((doc) => ({
+        reason: doc.data().reason,
+        points: doc.data().points,
+        sourceId: doc.data().sourceId,
+        createdAt: doc.data().createdAt?.toMillis() || null,
+      })),
+    };
+  } catch (error) {
+    logger.error("Get eco profile error:", error);
+    throw new Error(error.message);
   }
-
-  return null;
 });
 
 /**
- * Send notification to worker when a report is assigned to them
+ * Top citizens by eco-points, city-wide or, with ward, by the points they
+ * earned in that ward
  */
-exports.onReportAssigned = onDocumentUpdated(
-  "reports/{reportId}",
-  async (event) => {
-    const before = event.data.before.data();
-    const after = event.data.after.data();
-    const reportId = event.params.reportId;
-
-    // Check if assignedTo field changed from null/undefined to a worker uid
-    if (!before.assignedTo && after.assignedTo) {
-      try {
-        // Get worker's FCM token
-        const workerDoc = await admin
-          .firestore()
-          .collection("users")
-          .doc(after.assignedTo)
-          .get();
-
-        if (!workerDoc.exists) {
-          logger.info("Worker not found");
-          return null;
-        }
-
-        const workerData = workerDoc.data();
-        const fcmToken = workerData?.fcmToken;
+exports.getLeaderboard = onCall(async (request) => {
+  try {
+    requireRole(request);
 
-        if (!fcmToken) {
-          logger.info("Worker has no FCM token");
-          return null;
-        }
+    const { ward } = request.data || {};
+    const size = Math.min(
+      Number(request.data?.limit) || 20,
+      LEADERBOARD_MAX_SIZE
+    );
 
-        // Send notification to worker
-        const message = {
-          notification: {
-            title: "New Task Assigned",
-            body: `You have been assigned a new ${after.category} task. Severity: ${after.severity}`,
-          },
-          data: {
-            reportId: reportId,
-            type: "task_assigned",
-            category: after.category || "",
-            severity: after.severity || "",
-            address: after.location?.address || "",
-            latitude: String(after.location?.latitude || ""),
-            longitude: String(after.location?.longitude || ""),
-          },
-          token: fcmToken,
-        };
+    const entries = ward
+      ? (
+          await admin
+            .firestore()
+            .collection("wardPoints")
+            .where("ward", "==", ward)
+            .orderBy("points", "desc")
+            .limit(size)
+            .get()
+        ).docs.map((doc) => ({
+          userId: doc.data().userId,
+          points: doc.data().points,
+        }))
+      : (
+          await admin
+            .firestore()
+            .collection("users")
+            .where("ecoPoints", ">", 0)
+            .orderBy("ecoPoints", "desc")
+            .limit(size)
+            .get()
+        ).docs.map((doc) => ({ userId: doc.id, points: doc.data().ecoPoints }));
 
-        await admin.messaging().send(message);
-        logger.info(
-          `Task assignment notification sent to worker ${after.assignedTo}`
-        );
-      } catch (error) {
-        logger.error("Error sending task assignment notification:", error);
-      }
-    }
+    const userDocs = entries.length
+      ? await admin
+          .firestore()
+          .getAll(
+            ...entries.map((entry) =>
+              admin.firestore().collection("users").doc(entry.userId)
+            )
+          )
+      : [];
 
-    return null;
+    return {
+      success: true,
+      ward: ward || null,
+      leaders: entries.map((entry, index) => ({
+        rank: index + 1,
+        userId: entry.userId,
+        // Only first names are shown publicly
+        name: (userDocs[index].data()?.name || "").split(" ")[0],
+        points: entry.points,
+        badges: (userDocs[index].data()?.badges || []).length,
+      })),
+    };
+  } catch (error) {
+    logger.error("Get leaderboard error:", error);
+    throw new Error(error.message);
   }
-);
+});
+
 /**
  * Analyze waste image and classify it
  */
 exports.analyzeWasteImage = onCall(async (request) => {
   try {
+    requireRole(request);
+
     const { imageUri } = request.data;
 
     if (!imageUri) {
@@ -796,19 +7179,19 @@ exports.analyzeWasteImage = onCall(async (request) => {
     const labels = result.labelAnnotations || [];
 
     // Analyze labels to determine waste type
-    const wasteAnalysis = classifyWaste(labels);
+    const locale = await getRequestLocale(request);
+    const wasteAnalysis = await classifyWaste(labels, locale);
 
     // Log for analytics
-    if (request.auth) {
-      await admin.firestore().collection('wasteScans').add({
-        userId: request.auth.uid,
-        imageUri,
-        detectedType: wasteAnalysis.type,
-        category: wasteAnalysis.category,
-        confidence: wasteAnalysis.confidence,
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      });
-    }
+    await admin.firestore().collection('wasteScans').add({
+      userId: request.auth.uid,
+      imageUri,
+      detectedType: wasteAnalysis.type,
+      category: wasteAnalysis.category,
+      confidence: wasteAnalysis.confidence,
+      isWaste: wasteAnalysis.isWaste,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    });
 
     return wasteAnalysis;
   } catch (error) {
@@ -818,141 +7201,326 @@ exports.analyzeWasteImage = onCall(async (request) => {
 });
 
 /**
- * Classify waste based on detected labels
+ * Classify waste based on detected labels, using the first scannable
+ * taxonomy category with a matching keyword, scan keyword or synonym. Guidance is
+ * returned in the given locale.
  */
-function classifyWaste(labels) {
+async function classifyWaste(labels, locale) {
   const labelTexts = labels.map(l => l.description.toLowerCase());
   const maxConfidence = Math.max(...labels.map(l => l.score || 0));
+  const taxonomy = await getTaxonomy();
 
-  // Plastic detection
-  if (labelTexts.some(l => ['plastic', 'bottle', 'container', 'packaging'].includes(l))) {
-    return {
-      type: 'Plastic Waste',
-      category: 'recyclable',
-      confidence: Math.round(maxConfidence * 100),
-      recyclingInfo: 'Most plastic bottles and containers (labeled #1-7) are recyclable. Check your local recycling guidelines for specific types accepted.',
-      disposalMethod: 'Rinse the plastic item, remove caps/lids, and place in your recycling bin. Look for the recycling symbol and number on the bottom.',
-    };
-  }
+  const keywordMatch = taxonomy.find(c => {
+    const terms = [
+      ...c.keywords,
+      ...c.scanKeywords,
+      ...c.synonyms.map(s => s.toLowerCase()),
+    ];
+    return c.scannable && labelTexts.some(l => terms.includes(l));
+  });
+  const match =
+    keywordMatch ||
+    findTaxonomyCategory(taxonomy, 'General Waste') ||
+    DEFAULT_TAXONOMY.find(c => c.name === 'General Waste');
 
-  // Paper/Cardboard detection
-  if (labelTexts.some(l => ['paper', 'cardboard', 'box', 'newspaper', 'magazine'].includes(l))) {
-    return {
-      type: 'Paper/Cardboard',
-      category: 'recyclable',
-      confidence: Math.round(maxConfidence * 100),
-      recyclingInfo: 'Paper and cardboard are highly recyclable materials. Keep them dry and clean for optimal recycling.',
-      disposalMethod: 'Flatten cardboard boxes, remove any plastic tape or labels, and place in your recycling bin. Avoid soiled or greasy paper.',
-    };
-  }
+  return {
+    type: match.name,
+    typeLabel: localizeCategory(match, locale, 'name'),
+    category: match.wasteClass,
+    confidence: Math.round(maxConfidence * 100),
+    recyclingInfo: localizeCategory(match, locale, 'recyclingInfo'),
+    disposalMethod: localizeCategory(match, locale, 'disposalMethod'),
+    // false when no waste was recognised and General Waste is a fallback
+    isWaste: Boolean(keywordMatch),
+  };
+}
 
-  // Glass detection
-  if (labelTexts.some(l => ['glass', 'jar', 'bottle', 'wine'].includes(l))) {
-    return {
-      type: 'Glass',
-      category: 'recyclable',
-      confidence: Math.round(maxConfidence * 100),
-      recyclingInfo: 'Glass is 100% recyclable and can be recycled endlessly without loss of quality or purity.',
-      disposalMethod: 'Rinse glass containers, remove caps/lids, and place in your recycling bin. Some areas require color separation.',
-    };
-  }
+// Waste classes every user's byCategory counters include, even at zero
+const WASTE_CLASSES = ['recyclable', 'biodegradable', 'hazardous', 'general'];
 
-  // Metal detection
-  if (labelTexts.some(l => ['metal', 'aluminum', 'can', 'tin', 'steel'].includes(l))) {
-    return {
-      type: 'Metal',
-      category: 'recyclable',
-      confidence: Math.round(maxConfidence * 100),
-      recyclingInfo: 'Metal cans (aluminum and steel) are highly valuable recyclable materials.',
-      disposalMethod: 'Rinse cans, crush to save space, and place in recycling bin. Metal foil and trays are also recyclable.',
-    };
-  }
+// Periods in the weekly and monthly trend series
+const WASTE_SCAN_TREND_WEEKS = 12;
+const WASTE_SCAN_TREND_MONTHS = 12;
 
-  // Organic/Food waste detection
-  if (labelTexts.some(l => ['food', 'fruit', 'vegetable', 'organic', 'plant', 'leaf'].includes(l))) {
-    return {
-      type: 'Organic Waste',
-      category: 'biodegradable',
-      confidence: Math.round(maxConfidence * 100),
-      recyclingInfo: 'Organic waste can be composted to create nutrient-rich soil and reduce methane emissions from landfills.',
-      disposalMethod: 'Compost at home or use green waste bins. Avoid meat, dairy, and oily foods in home composting.',
-    };
-  }
+// Page size limits for getWasteScanHistory
+const WASTE_SCAN_PAGE_SIZE = 20;
+const WASTE_SCAN_MAX_PAGE_SIZE = 100;
 
-  // Electronic waste detection
-  if (labelTexts.some(l => ['electronic', 'phone', 'computer', 'battery', 'gadget', 'device'].includes(l))) {
-    return {
-      type: 'Electronic Waste',
-      category: 'hazardous',
-      confidence: Math.round(maxConfidence * 100),
-      recyclingInfo: 'E-waste contains valuable materials and hazardous substances. Never throw electronics in regular trash.',
-      disposalMethod: 'Take to designated e-waste collection centers or retailer take-back programs. Delete personal data first.',
-    };
-  }
+/**
+ * ISO week (e.g. 2026-W42) of a YYYY-MM-DD date
+ */
+function getIsoWeek(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  // The ISO week belongs to the year of its Thursday
+  day.setUTCDate(day.getUTCDate() + 3 - ((day.getUTCDay() + 6) % 7));
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
 
-  // Battery detection
-  if (labelTexts.some(l => ['battery', 'batteries', 'cell'].includes(l))) {
-    return {
-      type: 'Batteries',
-      category: 'hazardous',
-      confidence: Math.round(maxConfidence * 100),
-      recyclingInfo: 'Batteries contain toxic materials and must be recycled properly to prevent environmental contamination.',
-      disposalMethod: 'Take to battery collection points at retail stores or hazardous waste facilities. Never throw in regular trash.',
-    };
-  }
+/**
+ * Counters a scan adds to its user's wasteScanStats document
+ */
+function getWasteScanCounters(scan) {
+  const date = getStatsDate(scan.timestamp);
+  return {
+    totalScans: 1,
+    byCategory: { [scan.category || 'general']: 1 },
+    byType: { [scan.detectedType || 'General Waste']: 1 },
+    weekly: { [getIsoWeek(date)]: 1 },
+    monthly: { [date.slice(0, 7)]: 1 },
+  };
+}
 
-  // Textile detection
-  if (labelTexts.some(l => ['textile', 'fabric', 'clothing', 'cloth', 'shirt', 'pants'].includes(l))) {
-    return {
-      type: 'Textiles',
-      category: 'recyclable',
-      confidence: Math.round(maxConfidence * 100),
-      recyclingInfo: 'Textiles can be donated, recycled, or repurposed to reduce landfill waste.',
-      disposalMethod: 'Donate wearable clothing to charity, use textile recycling bins for damaged items, or repurpose as cleaning rags.',
-    };
+/**
+ * Build a user's wasteScanStats counters from all their scans. Only used
+ * once per user, for scans made before the counters existed. The IDs of
+ * the scans counted are kept in countedScanIds, so updateWasteScanStats
+ * doesn't count a scan again when its event arrives after the build.
+ */
+async function buildWasteScanStats(tx, userId) {
+  const scansSnap = await tx.get(
+    admin.firestore().collection('wasteScans').where('userId', '==', userId)
+  );
+
+  const stats = {
+    userId,
+    lastScanAt: null,
+    countedScanIds: scansSnap.docs.map(doc => doc.id),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  scansSnap.docs.forEach(doc => {
+    const scan = doc.data();
+    addStatsInto(stats, getWasteScanCounters(scan));
+    if (
+      scan.timestamp &&
+      scan.timestamp.toMillis() > (stats.lastScanAt?.toMillis() || 0)
+    ) {
+      stats.lastScanAt = scan.timestamp;
+    }
+  });
+
+  return stats;
+}
+
+/**
+ * A user's wasteScanStats, building them from their scan history the first
+ * time they are needed
+ */
+async function getWasteScanStats(userId) {
+  const statsRef = admin.firestore().collection('wasteScanStats').doc(userId);
+
+  return admin.firestore().runTransaction(async tx => {
+    const statsDoc = await tx.get(statsRef);
+    if (statsDoc.exists) {
+      return statsDoc.data();
+    }
+
+    const stats = await buildWasteScanStats(tx, userId);
+    tx.set(statsRef, stats);
+    return stats;
+  });
+}
+
+/**
+ * Add a new scan to its user's wasteScanStats counters, or build the
+ * counters from the user's history if this is the first scan since they
+ * were introduced. Scans already counted by the build are skipped.
+ */
+exports.updateWasteScanStats = onDocumentCreated(
+  'wasteScans/{scanId}',
+  async event => {
+    const scan = event.data.data();
+
+    if (!scan.userId || !(await claimEvent(event, 'updateWasteScanStats'))) {
+      return null;
+    }
+
+    const statsRef = admin
+      .firestore()
+      .collection('wasteScanStats')
+      .doc(scan.userId);
+
+    try {
+      await admin.firestore().runTransaction(async tx => {
+        const statsDoc = await tx.get(statsRef);
+
+        if (!statsDoc.exists) {
+          // The history query already includes this scan
+          tx.set(statsRef, await buildWasteScanStats(tx, scan.userId));
+          return;
+        }
+        if (statsDoc.data().countedScanIds?.includes(event.params.scanId)) {
+          return;
+        }
+
+        tx.set(
+          statsRef,
+          {
+            ...toIncrements(getWasteScanCounters(scan)),
+            lastScanAt: scan.timestamp || admin.firestore.Timestamp.now(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+          { merge: true }
+        );
+      });
+    } catch (error) {
+      logger.error(`Error updating scan stats for ${scan.userId}:`, error);
+      await releaseEvent(event, 'updateWasteScanStats');
+      throw error;
+    }
+
+    return null;
   }
+);
 
-  // Default general waste
+/**
+ * A scan as returned to the app
+ */
+function formatWasteScan(doc) {
+  const scan = doc.data();
   return {
-    type: 'General Waste',
-    category: 'general',
-    confidence: Math.round(maxConfidence * 100),
-    recyclingInfo: 'This item appears to be general waste. Check if any parts can be separated and recycled.',
-    disposalMethod: 'Place in general waste bin. Consider if any components can be separated for recycling.',
+    id: doc.id,
+    imageUri: scan.imageUri,
+    detectedType: scan.detectedType,
+    category: scan.category,
+    confidence: scan.confidence,
+    timestamp: scan.timestamp?.toMillis() || null,
   };
 }
 
 /**
- * Get waste scanning statistics for a user
+ * Get waste scanning statistics for a user: totals by waste class and
+ * type, the five most recent scans, and weekly and monthly scan counts for
+ * progress charts (oldest period first, including periods with no scans)
  */
 exports.getUserWasteScanStats = onCall(async (request) => {
   try {
-    if (!request.auth) {
-      throw new Error('User must be authenticated');
-    }
+    requireRole(request);
 
-    const scansSnapshot = await admin
-      .firestore()
-      .collection('wasteScans')
-      .where('userId', '==', request.auth.uid)
-      .get();
+    const userId = request.auth.uid;
+    const [stats, recentSnap] = await Promise.all([
+      getWasteScanStats(userId),
+      admin
+        .firestore()
+        .collection('wasteScans')
+        .where('userId', '==', userId)
+        .orderBy('timestamp', 'desc')
+        .limit(5)
+        .get(),
+    ]);
+
+    const today = getStatsDate();
+    const weeks = [];
+    for (let i = WASTE_SCAN_TREND_WEEKS - 1; i >= 0; i--) {
+      const date = new Date(Date.parse(today) - i * 7 * 86400000);
+      const week = getIsoWeek(date.toISOString().slice(0, 10));
+      weeks.push({ period: week, scans: stats.weekly?.[week] || 0 });
+    }
 
-    const scans = scansSnapshot.docs.map(doc => doc.data());
+    const months = [];
+    const [year, month] = today.split('-').map(Number);
+    for (let i = WASTE_SCAN_TREND_MONTHS - 1; i >= 0; i--) {
+      const date = new Date(Date.UTC(year, month - 1 - i, 1));
+      const period = date.toISOString().slice(0, 7);
+      months.push({ period, scans: stats.monthly?.[period] || 0 });
+    }
 
-    const stats = {
-      totalScans: scans.length,
-      byCategory: {
-        recyclable: scans.filter(s => s.category === 'recyclable').length,
-        biodegradable: scans.filter(s => s.category === 'biodegradable').length,
-        hazardous: scans.filter(s => s.category === 'hazardous').length,
-        general: scans.filter(s => s.category === 'general').length,
+    return {
+      totalScans: stats.totalScans || 0,
+      byCategory: Object.fromEntries(
+        WASTE_CLASSES.map(wasteClass => [
+          wasteClass,
+          stats.byCategory?.[wasteClass] || 0,
+        ])
+      ),
+      byType: stats.byType || {},
+      lastScanAt: stats.lastScanAt?.toMillis() || null,
+      recentScans: recentSnap.docs.map(formatWasteScan),
+      trends: {
+        weekly: weeks,
+        monthly: months,
       },
-      recentScans: scans.slice(-5).reverse(),
     };
-
-    return stats;
   } catch (error) {
     logger.error('Error fetching waste scan stats:', error);
     throw new Error('Failed to fetch statistics');
   }
-});
\ No newline at end of file
+});
+
+/**
+ * Page through the caller's scans, newest first. Filters: startTime and
+ * endTime (milliseconds), detectedType and category. Pass the returned
+ * nextCursor to get the next page; it is null on the last page.
+ */
+exports.getWasteScanHistory = onCall(async (request) => {
+  try {
+    const { uid } = requireRole(request);
+    const { cursor, startTime, endTime, detectedType, category } =
+      request.data || {};
+    const pageSize = Math.min(
+      Number(request.data?.pageSize) || WASTE_SCAN_PAGE_SIZE,
+      WASTE_SCAN_MAX_PAGE_SIZE
+    );
+
+    if (pageSize < 1) {
+      throw new Error('pageSize must be at least 1');
+    }
+    if (category && !WASTE_CLASSES.includes(category)) {
+      throw new Error(`category must be one of: ${WASTE_CLASSES.join(', ')}`);
+    }
+
+    let query = admin
+      .firestore()
+      .collection('wasteScans')
+      .where('userId', '==', uid);
+
+    if (detectedType) {
+      query = query.where('detectedType', '==', detectedType);
+    }
+    if (category) {
+      query = query.where('category', '==', category);
+    }
+    if (startTime) {
+      query = query.where(
+        'timestamp',
+        '>=',
+        admin.firestore.Timestamp.fromMillis(Number(startTime))
+      );
+    }
+    if (endTime) {
+      query = query.where(
+        'timestamp',
+        '<=',
+        admin.firestore.Timestamp.fromMillis(Number(endTime))
+      );
+    }
+
+    query = query.orderBy('timestamp', 'desc');
+
+    if (cursor) {
+      const cursorDoc = await admin
+        .firestore()
+        .collection('wasteScans')
+        .doc(cursor)
+        .get();
+      if (!cursorDoc.exists || cursorDoc.data().userId !== uid) {
+        throw new Error('Invalid cursor');
+      }
+      query = query.startAfter(cursorDoc);
+    }
+
+    // One extra scan tells us whether there is another page
+    const scansSnap = await query.limit(pageSize + 1).get();
+    const docs = scansSnap.docs.slice(0, pageSize);
+
+    return {
+      scans: docs.map(formatWasteScan),
+      nextCursor:
+        scansSnap.docs.length > pageSize ? docs[docs.length - 1].id : null,
+    };
+  } catch (error) {
+    logger.error('Error fetching waste scan history:', error);
+    throw new Error(error.message);
+  }
+});
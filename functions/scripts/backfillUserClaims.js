@@ -0,0 +1,125 @@
+/**
+ * One-off migration to role claims. Callables authorize from the role and
+ * ngoId custom claims, so this copies users.role and users.ngoId into the
+ * claims of users who don't have a role claim yet, and can make the first
+ * super admin (setUserRole needs one to exist). Runs with the Admin SDK
+ * and service account credentials, from the functions directory:
+ *
+ *   export GOOGLE_APPLICATION_CREDENTIALS=key.json
+ *   node scripts/backfillUserClaims.js
+ *   node scripts/backfillUserClaims.js --super-admin admin@example.com
+ */
+
+const admin = require("firebase-admin");
+
+// Same as ROLES in index.js
+const ROLES = [
+  "citizen",
+  "worker",
+  "ngo_admin",
+  "city_official",
+  "super_admin",
+];
+
+/**
+ * Set role and ngoId claims from each users document that has a role but
+ * whose user has no role claim. Users with a role claim are left alone,
+ * since claims win over the document once set. Returns the number of users
+ * updated.
+ */
+async function backfillUserClaims() {
+  const snap = await admin.firestore().collection("users").get();
+  let updated = 0;
+
+  for (const doc of snap.docs) {
+    const { role, ngoId } = doc.data();
+    if (!ROLES.includes(role) || role === "citizen") {
+      continue;
+    }
+
+    let user;
+    try {
+      user = await admin.auth().getUser(doc.id);
+    } catch (error) {
+      if (error.code === "auth/user-not-found") {
+        console.warn(`Skipping ${doc.id}: no Auth user`);
+        continue;
+      }
+      throw error;
+    }
+
+    if (user.customClaims?.role) {
+      continue;
+    }
+
+    await admin.auth().setCustomUserClaims(doc.id, {
+      ...user.customClaims,
+      role,
+      ngoId: ngoId || null,
+    });
+    // claimsUpdatedAt lets the app know to refresh its ID token
+    await doc.ref.update({
+      claimsUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    console.log(`${doc.id}: ${role}${ngoId ? ` (NGO ${ngoId})` : ""}`);
+    updated++;
+  }
+
+  return updated;
+}
+
+/**
+ * Make the user with the given email a super admin. The claims are set
+ * before the users document so syncUserClaims keeps the change.
+ */
+async function makeSuperAdmin(email) {
+  const user = await admin.auth().getUserByEmail(email);
+
+  await admin.auth().setCustomUserClaims(user.uid, {
+    ...user.customClaims,
+    role: "super_admin",
+    ngoId: null,
+  });
+  await admin
+    .firestore()
+    .collection("users")
+    .doc(user.uid)
+    .set(
+      {
+        role: "super_admin",
+        ngoId: null,
+        claimsUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+
+  return user.uid;
+}
+
+async function main() {
+  admin.initializeApp();
+
+  const flag = process.argv.indexOf("--super-admin");
+  if (flag !== -1) {
+    const email = process.argv[flag + 1];
+    if (!email) {
+      throw new Error("--super-admin needs an email address");
+    }
+    const uid = await makeSuperAdmin(email);
+    console.log(`${email} (${uid}) is now a super admin`);
+  }
+
+  const updated = await backfillUserClaims();
+  console.log(`Backfilled claims for ${updated} users`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { backfillUserClaims, makeSuperAdmin };
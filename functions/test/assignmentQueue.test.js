@@ -0,0 +1,90 @@
+/**
+ * Reports queued by retryPendingAssignments leave the queue once they no
+ * longer need a worker, instead of being retried and escalated forever.
+ */
+
+const { Timestamp } = require("firebase-admin/firestore");
+const {
+  functionsTest,
+  store,
+  pushes,
+  myFunctions,
+  callAs,
+  seedStore,
+} = require("./helpers");
+
+/**
+ * Queue report1 as due for another assignment attempt, one attempt short
+ * of escalation
+ */
+function queueReport() {
+  store.set("assignmentQueue/report1", {
+    reportId: "report1",
+    reason: "no_worker_in_range",
+    attempts: 4,
+    escalated: false,
+    nextAttemptAt: Timestamp.fromMillis(Date.now() - 1000),
+  });
+}
+
+beforeEach(() => {
+  seedStore();
+  store.set("users/admin1", {
+    uid: "admin1",
+    name: "Meera",
+    role: "super_admin",
+    fcmTokens: ["admin-token"],
+  });
+  queueReport();
+});
+
+afterAll(() => {
+  functionsTest.cleanup();
+});
+
+describe("retryPendingAssignments", () => {
+  test("drops queued reports that were closed in the meantime", async () => {
+    store.set("reports/report1", {
+      ...store.get("reports/report1"),
+      status: "rejected",
+    });
+    // With nobody to assign, a retry would escalate to the admins
+    store.set("users/worker1", {
+      ...store.get("users/worker1"),
+      isActive: false,
+    });
+
+    await myFunctions.retryPendingAssignments.run({});
+
+    expect(store.has("assignmentQueue/report1")).toBe(false);
+    expect(store.get("reports/report1").assignedTo).toBeUndefined();
+    expect(pushes).toHaveLength(0);
+  });
+
+  test("assigns queued reports that are still pending", async () => {
+    await myFunctions.retryPendingAssignments.run({});
+
+    expect(store.has("assignmentQueue/report1")).toBe(false);
+    expect(store.get("reports/report1").assignedTo).toBe("worker1");
+  });
+});
+
+describe("updateReportStatus", () => {
+  const wrapped = functionsTest.wrap(myFunctions.updateReportStatus);
+
+  test("removes a rejected report from the queue", async () => {
+    await wrapped(
+      callAs(
+        "admin1",
+        { role: "super_admin" },
+        { reportId: "report1", status: "rejected" }
+      )
+    );
+
+    expect(store.get("reports/report1")).toMatchObject({
+      status: "rejected",
+      assignmentPending: false,
+    });
+    expect(store.has("assignmentQueue/report1")).toBe(false);
+  });
+});
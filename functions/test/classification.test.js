@@ -0,0 +1,56 @@
+/**
+ * Vegetation labels are in most street photos, so they only classify
+ * analyzeWasteImage scans and never make analyzeGarbageImage see garbage.
+ */
+
+const vision = require("@google-cloud/vision");
+const {
+  functionsTest,
+  myFunctions,
+  callAs,
+  seedStore,
+} = require("./helpers");
+
+const VEGETATION_LABELS = [
+  { description: "Plant", score: 0.95 },
+  { description: "Leaf", score: 0.9 },
+];
+
+const analyzeGarbageImage = functionsTest.wrap(
+  myFunctions.analyzeGarbageImage
+);
+const analyzeWasteImage = functionsTest.wrap(myFunctions.analyzeWasteImage);
+
+beforeAll(() => {
+  process.env.CLASSIFIER_PROVIDERS = "vision";
+  jest
+    .spyOn(vision.ImageAnnotatorClient.prototype, "labelDetection")
+    .mockResolvedValue([{ labelAnnotations: VEGETATION_LABELS }]);
+  jest
+    .spyOn(vision.ImageAnnotatorClient.prototype, "objectLocalization")
+    .mockResolvedValue([{ localizedObjectAnnotations: [] }]);
+});
+
+beforeEach(seedStore);
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  delete process.env.CLASSIFIER_PROVIDERS;
+  functionsTest.cleanup();
+});
+
+test("analyzeGarbageImage doesn't report vegetation as garbage", async () => {
+  const result = await analyzeGarbageImage(
+    callAs("citizen1", {}, { imageUri: "gs://bucket/park.jpg" })
+  );
+
+  expect(result).toMatchObject({ isGarbage: false, category: null });
+});
+
+test("analyzeWasteImage classifies scanned vegetation as organic", async () => {
+  const result = await analyzeWasteImage(
+    callAs("citizen1", {}, { imageUri: "gs://bucket/peels.jpg" })
+  );
+
+  expect(result).toMatchObject({ isWaste: true, type: "Organic Waste" });
+});
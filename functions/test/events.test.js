@@ -0,0 +1,118 @@
+/**
+ * Firestore triggers must act once per event even when the event is
+ * delivered more than once, and run again when a delivery fails.
+ */
+
+const {
+  functionsTest,
+  db,
+  store,
+  pushes,
+  myFunctions,
+  statusEntries,
+  snapshotOf,
+  seedStore,
+} = require("./helpers");
+
+beforeEach(seedStore);
+
+afterAll(() => {
+  functionsTest.cleanup();
+});
+
+describe("autoAssignNearestWorker", () => {
+  const wrapped = functionsTest.wrap(myFunctions.autoAssignNearestWorker);
+
+  test("assigns once when the event is delivered twice", async () => {
+    const event = {
+      id: "create-report1",
+      data: snapshotOf("reports/report1"),
+      params: { reportId: "report1" },
+    };
+
+    await wrapped(event);
+    await wrapped(event);
+
+    expect(store.get("reports/report1")).toMatchObject({
+      status: "assigned",
+      assignedTo: "worker1",
+    });
+    expect(statusEntries("report1", "assigned")).toHaveLength(1);
+  });
+
+  test("runs again on redelivery after a failure", async () => {
+    const event = {
+      id: "create-report1",
+      data: snapshotOf("reports/report1"),
+      params: { reportId: "report1" },
+    };
+
+    const collection = db.collection;
+    db.collection = (path) => {
+      if (path === "ngos") {
+        throw new Error("Firestore unavailable");
+      }
+      return collection(path);
+    };
+    await expect(wrapped(event)).rejects.toThrow("Firestore unavailable");
+    db.collection = collection;
+
+    await wrapped(event);
+    await wrapped(event);
+
+    expect(store.get("reports/report1").assignedTo).toBe("worker1");
+    expect(statusEntries("report1", "assigned")).toHaveLength(1);
+  });
+});
+
+describe("onReportAssigned", () => {
+  const wrapped = functionsTest.wrap(myFunctions.onReportAssigned);
+
+  test("notifies the worker once when the event is delivered twice", async () => {
+    const before = store.get("reports/report1");
+    const after = { ...before, status: "assigned", assignedTo: "worker1" };
+    const event = {
+      id: "update-report1",
+      data: {
+        before: snapshotOf("reports/report1", before),
+        after: snapshotOf("reports/report1", after),
+      },
+      params: { reportId: "report1" },
+    };
+
+    await wrapped(event);
+    await wrapped(event);
+
+    expect(pushes).toHaveLength(1);
+    expect(pushes[0].tokens).toEqual(["worker-token"]);
+    expect(pushes[0].data.type).toBe("task_assigned");
+  });
+});
+
+describe("onReportResolved", () => {
+  const wrapped = functionsTest.wrap(myFunctions.onReportResolved);
+
+  test("notifies the reporter once when the event is delivered twice", async () => {
+    const before = {
+      ...store.get("reports/report1"),
+      status: "in_progress",
+      assignedTo: "worker1",
+    };
+    const after = { ...before, status: "resolved" };
+    const event = {
+      id: "resolve-report1",
+      data: {
+        before: snapshotOf("reports/report1", before),
+        after: snapshotOf("reports/report1", after),
+      },
+      params: { reportId: "report1" },
+    };
+
+    await wrapped(event);
+    await wrapped(event);
+
+    expect(pushes).toHaveLength(1);
+    expect(pushes[0].tokens).toEqual(["citizen-token"]);
+    expect(pushes[0].data.type).toBe("report_resolved");
+  });
+});
@@ -0,0 +1,352 @@
+/**
+ * In-memory stand-in for the parts of the Firestore Admin API that the
+ * functions use, so triggers can be run in tests without the emulator.
+ * Values use the real FieldValue and Timestamp classes.
+ */
+
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+
+/**
+ * Copy a stored value so callers can't mutate the store through it
+ */
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value && typeof value === "object" && value.constructor === Object) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, clone(item)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Value of a dotted field path in an object
+ */
+function getField(data, path) {
+  return path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * Apply a FieldValue sentinel to the current value of a field. Returns
+ * undefined for FieldValue.delete().
+ */
+function resolveFieldValue(current, value) {
+  switch (value.methodName) {
+    case "FieldValue.serverTimestamp":
+      return Timestamp.now();
+    case "FieldValue.delete":
+      return undefined;
+    case "FieldValue.increment":
+      return (current || 0) + value.operand;
+    case "FieldValue.arrayUnion":
+      return [
+        ...(current || []),
+        ...value.elements.filter(
+          (element) => !(current || []).includes(element)
+        ),
+      ];
+    case "FieldValue.arrayRemove":
+      return (current || []).filter(
+        (element) => !value.elements.includes(element)
+      );
+    default:
+      throw new Error(`Unsupported field value ${value.methodName}`);
+  }
+}
+
+/**
+ * Write value at a dotted path in target, resolving sentinels. Plain
+ * objects replace the existing value unless merge is set.
+ */
+function setField(target, path, value, merge) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let parent = target;
+  keys.forEach((key) => {
+    if (!parent[key] || typeof parent[key] !== "object") {
+      parent[key] = {};
+    }
+    parent = parent[key];
+  });
+
+  if (value instanceof FieldValue) {
+    const resolved = resolveFieldValue(parent[last], value);
+    if (resolved === undefined) {
+      delete parent[last];
+    } else {
+      parent[last] = resolved;
+    }
+  } else if (
+    value &&
+    typeof value === "object" &&
+    value.constructor === Object
+  ) {
+    if (!merge || !parent[last] || typeof parent[last] !== "object") {
+      parent[last] = {};
+    }
+    Object.entries(value).forEach(([key, item]) =>
+      setField(parent[last], key, item, merge)
+    );
+  } else {
+    parent[last] = clone(value);
+  }
+}
+
+/**
+ * Comparable form of a field value
+ */
+function toComparable(value) {
+  return value instanceof Timestamp ? value.toMillis() : value;
+}
+
+const OPERATORS = {
+  "==": (field, value) => field === value,
+  "!=": (field, value) => field !== undefined && field !== value,
+  "<": (field, value) => field !== undefined && field < value,
+  "<=": (field, value) => field !== undefined && field <= value,
+  ">": (field, value) => field !== undefined && field > value,
+  ">=": (field, value) => field !== undefined && field >= value,
+  in: (field, values) => values.includes(field),
+  "not-in": (field, values) => field !== undefined && !values.includes(field),
+  "array-contains": (field, value) =>
+    Array.isArray(field) && field.includes(value),
+  "array-contains-any": (field, values) =>
+    Array.isArray(field) && field.some((element) => values.includes(element)),
+};
+
+/**
+ * Create an empty in-memory database. Returns { db, store }, where store
+ * maps document paths to their data.
+ */
+function createFakeFirestore() {
+  const store = new Map();
+  let nextId = 0;
+
+  class DocumentSnapshot {
+    constructor(ref, data) {
+      this.ref = ref;
+      this.id = ref.id;
+      this.exists = data !== undefined;
+      this._data = data;
+    }
+
+    data() {
+      return this.exists ? clone(this._data) : undefined;
+    }
+
+    get(field) {
+      return getField(this._data, field);
+    }
+  }
+
+  class DocumentReference {
+    constructor(path) {
+      this.path = path;
+      this.id = path.split("/").pop();
+    }
+
+    collection(name) {
+      return new Query(`${this.path}/${name}`);
+    }
+
+    async get() {
+      return new DocumentSnapshot(this, clone(store.get(this.path)));
+    }
+
+    async set(data, { merge = false } = {}) {
+      const current = merge ? clone(store.get(this.path)) || {} : {};
+      Object.entries(data).forEach(([key, value]) =>
+        setField(current, key, value, merge)
+      );
+      store.set(this.path, current);
+    }
+
+    async create(data) {
+      if (store.has(this.path)) {
+        const error = new Error(`6 ALREADY_EXISTS: ${this.path}`);
+        error.code = 6;
+        throw error;
+      }
+      await this.set(data);
+    }
+
+    async update(data) {
+      if (!store.has(this.path)) {
+        const error = new Error(`5 NOT_FOUND: ${this.path}`);
+        error.code = 5;
+        throw error;
+      }
+      const current = clone(store.get(this.path));
+      Object.entries(data).forEach(([key, value]) =>
+        setField(current, key, value, true)
+      );
+      store.set(this.path, current);
+    }
+
+    async delete() {
+      store.delete(this.path);
+    }
+  }
+
+  class Query {
+    constructor(path, { filters = [], orders = [], limit = null } = {}) {
+      this.path = path;
+      this.id = path.split("/").pop();
+      this._filters = filters;
+      this._orders = orders;
+      this._limit = limit;
+    }
+
+    _with(changes) {
+      return new Query(this.path, {
+        filters: this._filters,
+        orders: this._orders,
+        limit: this._limit,
+        ...changes,
+      });
+    }
+
+    doc(id = `doc${++nextId}`) {
+      return new DocumentReference(`${this.path}/${id}`);
+    }
+
+    async add(data) {
+      const ref = this.doc();
+      await ref.set(data);
+      return ref;
+    }
+
+    where(field, op, value) {
+      if (!OPERATORS[op]) {
+        throw new Error(`Unsupported operator ${op}`);
+      }
+      return this._with({ filters: [...this._filters, { field, op, value }] });
+    }
+
+    orderBy(field, direction = "asc") {
+      return this._with({ orders: [...this._orders, { field, direction }] });
+    }
+
+    // startAt and endAt apply to the last orderBy field
+    startAt(value) {
+      const { field } = this._orders[this._orders.length - 1];
+      return this.where(field, ">=", value);
+    }
+
+    endAt(value) {
+      const { field } = this._orders[this._orders.length - 1];
+      return this.where(field, "<=", value);
+    }
+
+    limit(limit) {
+      return this._with({ limit });
+    }
+
+    select() {
+      return this;
+    }
+
+    count() {
+      return {
+        get: async () => {
+          const { size } = await this.get();
+          return { data: () => ({ count: size }) };
+        },
+      };
+    }
+
+    async get() {
+      let docs = [];
+      store.forEach((data, path) => {
+        if (path.slice(0, path.lastIndexOf("/")) === this.path) {
+          docs.push(
+            new DocumentSnapshot(new DocumentReference(path), clone(data))
+          );
+        }
+      });
+
+      docs = docs.filter((doc) =>
+        this._filters.every(({ field, op, value }) =>
+          OPERATORS[op](
+            toComparable(getField(doc._data, field)),
+            Array.isArray(value) ? value.map(toComparable) : toComparable(value)
+          )
+        )
+      );
+
+      [...this._orders].reverse().forEach(({ field, direction }) => {
+        const sign = direction === "desc" ? -1 : 1;
+        docs.sort((a, b) => {
+          const x = toComparable(getField(a._data, field));
+          const y = toComparable(getField(b._data, field));
+          return x < y ? -sign : x > y ? sign : 0;
+        });
+      });
+
+      if (this._limit !== null) {
+        docs = docs.slice(0, this._limit);
+      }
+
+      return {
+        docs,
+        size: docs.length,
+        empty: docs.length === 0,
+        forEach: (callback) => docs.forEach(callback),
+      };
+    }
+  }
+
+  /**
+   * Writes collected by a batch or transaction, applied in order on commit
+   */
+  function createWriteSet() {
+    const writes = [];
+    const writeSet = {
+      set: (ref, data, options) => {
+        writes.push(() => ref.set(data, options));
+        return writeSet;
+      },
+      create: (ref, data) => {
+        writes.push(() => ref.create(data));
+        return writeSet;
+      },
+      update: (ref, data) => {
+        writes.push(() => ref.update(data));
+        return writeSet;
+      },
+      delete: (ref) => {
+        writes.push(() => ref.delete());
+        return writeSet;
+      },
+      commit: async () => {
+        for (const write of writes) {
+          await write();
+        }
+      },
+    };
+    return writeSet;
+  }
+
+  const db = {
+    collection: (path) => new Query(path),
+    doc: (path) => new DocumentReference(path),
+    batch: createWriteSet,
+    getAll: (...refs) => Promise.all(refs.map((ref) => ref.get())),
+    runTransaction: async (updateFunction) => {
+      const tx = createWriteSet();
+      tx.get = (refOrQuery) => refOrQuery.get();
+      tx.getAll = db.getAll;
+      const result = await updateFunction(tx);
+      await tx.commit();
+      return result;
+    },
+  };
+
+  return { db, store };
+}
+
+module.exports = { createFakeFirestore };
@@ -0,0 +1,70 @@
+/**
+ * Radius searches: getReportsNearMe only searches sensible radii, and
+ * assignment still reaches workers beyond the widest search radius.
+ */
+
+const {
+  functionsTest,
+  store,
+  myFunctions,
+  locationAt,
+  snapshotOf,
+  callAs,
+  seedStore,
+} = require("./helpers");
+
+beforeEach(seedStore);
+
+afterAll(() => {
+  functionsTest.cleanup();
+});
+
+describe("getReportsNearMe", () => {
+  const wrapped = functionsTest.wrap(myFunctions.getReportsNearMe);
+
+  /**
+   * getReportsNearMe around report1 as citizen1
+   */
+  function nearMe(data) {
+    const { latitude, longitude } = locationAt(0);
+    return wrapped(callAs("citizen1", {}, { latitude, longitude, ...data }));
+  }
+
+  test("searches the default radius when none is given", async () => {
+    const result = await nearMe({});
+
+    expect(result.radiusKm).toBe(2);
+    expect(result.reports.map((r) => r.id)).toEqual(["report1"]);
+  });
+
+  test.each([0, -5, 11, Infinity, NaN, "5"])(
+    "rejects a radiusKm of %p",
+    async (radiusKm) => {
+      await expect(nearMe({ radiusKm })).rejects.toThrow(
+        "radiusKm must be greater than 0 and at most 10"
+      );
+    }
+  );
+});
+
+describe("autoAssignNearestWorker", () => {
+  const wrapped = functionsTest.wrap(myFunctions.autoAssignNearestWorker);
+
+  test("falls back to workers beyond the widest search radius", async () => {
+    store.set("users/worker1", {
+      ...store.get("users/worker1"),
+      currentLocation: locationAt(80),
+    });
+
+    await wrapped({
+      id: "create-report1",
+      data: snapshotOf("reports/report1"),
+      params: { reportId: "report1" },
+    });
+
+    expect(store.get("reports/report1")).toMatchObject({
+      status: "assigned",
+      assignedTo: "worker1",
+    });
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Shared test setup: loads the functions against the in-memory Firestore
+ * from fakeFirestore.js, an in-memory Auth user list and a messaging stub
+ * that records pushes, and seeds a small city (one NGO, one worker, one
+ * citizen, one report).
+ */
+
+const functionsTest = require("firebase-functions-test")({
+  projectId: "demo-swachhsathi",
+});
+const admin = require("firebase-admin");
+const { Timestamp } = require("firebase-admin/firestore");
+const { geohashForLocation } = require("geofire-common");
+const { createFakeFirestore } = require("./fakeFirestore");
+
+Object.assign(process.env, {
+  ASSIGNMENT_ACCEPT_SLA_MINUTES: "30",
+  ASSIGNMENT_MAX_ATTEMPTS: "5",
+  ASSIGNMENT_SEARCH_RADII_KM: "5,15,50",
+  DUPLICATE_RADIUS_METERS: "100",
+  DUPLICATE_WINDOW_HOURS: "48",
+  RESOLUTION_MIN_CLEANLINESS_SCORE: "70",
+  SLA_ESCALATION_STEP_HOURS: "4",
+});
+
+const { db, store } = createFakeFirestore();
+const pushes = [];
+// Auth user records by uid
+const authUsers = new Map();
+
+// The functions get the in-memory database; firebase-functions-test, which
+// passes its own app, still gets real Firestore to build event snapshots
+const realFirestore = admin.firestore;
+const fakeFirestore = Object.assign(
+  (app) => (app ? realFirestore(app) : db),
+  realFirestore
+);
+Object.defineProperty(admin, "firestore", {
+  value: fakeFirestore,
+  configurable: true,
+  writable: true,
+});
+Object.defineProperty(admin, "messaging", {
+  value: () => ({
+    sendEachForMulticast: async (message) => {
+      pushes.push(message);
+      return {
+        successCount: message.tokens.length,
+        failureCount: 0,
+        responses: message.tokens.map(() => ({ success: true })),
+      };
+    },
+  }),
+  configurable: true,
+  writable: true,
+});
+
+/**
+ * Error shaped like the Admin SDK's for an unknown user
+ */
+function userNotFound() {
+  const error = new Error("There is no user record for the identifier.");
+  error.code = "auth/user-not-found";
+  return error;
+}
+
+Object.defineProperty(admin, "auth", {
+  value: () => ({
+    getUser: async (uid) => {
+      if (!authUsers.has(uid)) {
+        throw userNotFound();
+      }
+      return authUsers.get(uid);
+    },
+    getUserByEmail: async (email) => {
+      const user = [...authUsers.values()].find((u) => u.email === email);
+      if (!user) {
+        throw userNotFound();
+      }
+      return user;
+    },
+    setCustomUserClaims: async (uid, customClaims) => {
+      if (!authUsers.has(uid)) {
+        throw userNotFound();
+      }
+      authUsers.set(uid, { ...authUsers.get(uid), customClaims });
+    },
+    updateUser: async (uid, properties) => {
+      if (!authUsers.has(uid)) {
+        throw userNotFound();
+      }
+      authUsers.set(uid, { ...authUsers.get(uid), ...properties });
+    },
+  }),
+  configurable: true,
+  writable: true,
+});
+
+const myFunctions = require("../index");
+
+const LOCATION = { latitude: 18.5204, longitude: 73.8567 };
+
+/**
+ * A { latitude, longitude, geohash } location offset north of LOCATION
+ */
+function locationAt(offsetKm) {
+  const latitude = LOCATION.latitude + offsetKm / 111;
+  return {
+    latitude,
+    longitude: LOCATION.longitude,
+    geohash: geohashForLocation([latitude, LOCATION.longitude]),
+  };
+}
+
+/**
+ * reportStatus entries of a report with the given status
+ */
+function statusEntries(reportId, status) {
+  return [...store.entries()].filter(
+    ([path, entry]) =>
+      path.startsWith(`reports/${reportId}/reportStatus/`) &&
+      entry.status === status
+  );
+}
+
+/**
+ * Snapshot of a stored document, as a trigger event would carry it
+ */
+function snapshotOf(path, data = store.get(path)) {
+  return functionsTest.firestore.makeDocumentSnapshot(
+    {
+      ...data,
+      createdAt: data.createdAt?.toDate() || new Date(),
+    },
+    path
+  );
+}
+
+/**
+ * Callable request from a signed-in user with the given token claims
+ */
+function callAs(uid, claims = {}, data = {}) {
+  return { data, auth: { uid, token: { uid, ...claims } } };
+}
+
+/**
+ * Reset the store to the seeded city and forget Auth users and recorded
+ * pushes
+ */
+function seedStore() {
+  store.clear();
+  authUsers.clear();
+  pushes.length = 0;
+
+  store.set("ngos/ngo1", { name: "Clean Pune", categories: ["Plastic Waste"] });
+  store.set("users/worker1", {
+    uid: "worker1",
+    name: "Asha",
+    email: "asha@example.com",
+    role: "worker",
+    ngoId: "ngo1",
+    isActive: true,
+    fcmTokens: ["worker-token"],
+    currentLocation: locationAt(1),
+  });
+  store.set("users/citizen1", {
+    uid: "citizen1",
+    name: "Ravi",
+    email: "ravi@example.com",
+    fcmTokens: ["citizen-token"],
+  });
+  store.set("reports/report1", {
+    userId: "citizen1",
+    category: "Plastic Waste",
+    severity: "Medium",
+    status: "pending",
+    location: locationAt(0),
+    createdAt: Timestamp.now(),
+  });
+}
+
+module.exports = {
+  functionsTest,
+  db,
+  store,
+  authUsers,
+  pushes,
+  myFunctions,
+  locationAt,
+  statusEntries,
+  snapshotOf,
+  callAs,
+  seedStore,
+};
@@ -0,0 +1,176 @@
+/**
+ * Callables authorize from the role and NGO custom claims on the caller's
+ * ID token, and updateReportStatus only lets each role make its own
+ * transitions on reports it is responsible for.
+ */
+
+const {
+  functionsTest,
+  store,
+  myFunctions,
+  callAs,
+  seedStore,
+} = require("./helpers");
+
+// A service area around a point far from the seeded report
+const FAR_AWAY_AREA = JSON.stringify({
+  type: "Polygon",
+  coordinates: [
+    [
+      [72.8, 19.0],
+      [72.9, 19.0],
+      [72.9, 19.1],
+      [72.8, 19.1],
+      [72.8, 19.0],
+    ],
+  ],
+});
+
+const updateReportStatus = functionsTest.wrap(myFunctions.updateReportStatus);
+const getDashboardStats = functionsTest.wrap(myFunctions.getDashboardStats);
+
+/**
+ * updateReportStatus on report1 as the given user and claims
+ */
+function setStatus(uid, claims, data) {
+  return updateReportStatus(
+    callAs(uid, claims, { reportId: "report1", ...data })
+  );
+}
+
+beforeEach(() => {
+  seedStore();
+  store.set("ngos/ngo2", {
+    name: "Green Thane",
+    categories: ["Plastic Waste"],
+    serviceArea: FAR_AWAY_AREA,
+  });
+  store.set("ngos/ngo3", { name: "Compost Co", categories: ["Organic Waste"] });
+  ["admin1", "admin2", "admin3", "super1"].forEach((uid) =>
+    store.set(`users/${uid}`, { uid, name: uid })
+  );
+});
+
+afterAll(() => {
+  functionsTest.cleanup();
+});
+
+describe("requireRole", () => {
+  test("rejects callers who aren't signed in", async () => {
+    await expect(
+      getDashboardStats({ data: {}, auth: undefined })
+    ).rejects.toThrow("User must be authenticated");
+  });
+
+  test("treats callers without a role claim as citizens", async () => {
+    await expect(getDashboardStats(callAs("citizen1"))).rejects.toThrow(
+      "Role citizen is not allowed to perform this action"
+    );
+  });
+
+  test("ignores the role stored on the user's profile", async () => {
+    store.set("users/citizen1", {
+      ...store.get("users/citizen1"),
+      role: "super_admin",
+    });
+
+    await expect(
+      setStatus("citizen1", {}, { status: "rejected" })
+    ).rejects.toThrow("Role citizen cannot change status from pending");
+    expect(store.get("reports/report1").status).toBe("pending");
+  });
+});
+
+describe("updateReportStatus", () => {
+  test("refuses transitions that aren't allowed", async () => {
+    await expect(
+      setStatus("super1", { role: "super_admin" }, { status: "resolved" })
+    ).rejects.toThrow("Cannot change status from pending to resolved");
+  });
+
+  test("lets super admins reject any report", async () => {
+    await setStatus("super1", { role: "super_admin" }, { status: "rejected" });
+
+    expect(store.get("reports/report1").status).toBe("rejected");
+  });
+
+  test("lets the admins of a covering NGO assign an unowned report", async () => {
+    await setStatus(
+      "admin1",
+      { role: "ngo_admin", ngoId: "ngo1" },
+      { status: "assigned", assignedTo: "worker1" }
+    );
+
+    expect(store.get("reports/report1")).toMatchObject({
+      status: "assigned",
+      assignedTo: "worker1",
+      ngoId: "ngo1",
+    });
+  });
+
+  test("keeps NGOs that don't handle the category off unowned reports", async () => {
+    await expect(
+      setStatus(
+        "admin3",
+        { role: "ngo_admin", ngoId: "ngo3" },
+        { status: "rejected" }
+      )
+    ).rejects.toThrow("outside your NGO's categories or service area");
+    expect(store.get("reports/report1").status).toBe("pending");
+  });
+
+  test("keeps NGOs whose service area misses the report off it", async () => {
+    await expect(
+      setStatus(
+        "admin2",
+        { role: "ngo_admin", ngoId: "ngo2" },
+        { status: "rejected" }
+      )
+    ).rejects.toThrow("outside your NGO's categories or service area");
+  });
+
+  test("keeps NGO admins off another NGO's reports", async () => {
+    store.set("reports/report1", {
+      ...store.get("reports/report1"),
+      status: "assigned",
+      assignedTo: "worker1",
+      ngoId: "ngo1",
+    });
+
+    await expect(
+      setStatus(
+        "admin2",
+        { role: "ngo_admin", ngoId: "ngo2" },
+        { status: "rejected" }
+      )
+    ).rejects.toThrow("This report belongs to another NGO");
+  });
+
+  test("only lets workers move reports assigned to them", async () => {
+    store.set("users/worker2", {
+      ...store.get("users/worker1"),
+      uid: "worker2",
+    });
+    store.set("reports/report1", {
+      ...store.get("reports/report1"),
+      status: "assigned",
+      assignedTo: "worker1",
+      ngoId: "ngo1",
+    });
+
+    await expect(
+      setStatus(
+        "worker2",
+        { role: "worker", ngoId: "ngo1" },
+        { status: "in_progress" }
+      )
+    ).rejects.toThrow("This report is not assigned to you");
+
+    await setStatus(
+      "worker1",
+      { role: "worker", ngoId: "ngo1" },
+      { status: "in_progress" }
+    );
+    expect(store.get("reports/report1").status).toBe("in_progress");
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * scripts/backfillUserClaims.js seeds role claims for users who had their
+ * role before callables authorized from claims, and makes the first super
+ * admin.
+ */
+
+const { functionsTest, store, authUsers, seedStore } = require("./helpers");
+const {
+  backfillUserClaims,
+  makeSuperAdmin,
+} = require("../scripts/backfillUserClaims");
+
+beforeEach(() => {
+  seedStore();
+  store.set("users/admin1", {
+    uid: "admin1",
+    email: "meera@example.com",
+    role: "ngo_admin",
+    ngoId: "ngo1",
+  });
+  authUsers.set("worker1", { uid: "worker1", email: "asha@example.com" });
+  authUsers.set("citizen1", { uid: "citizen1", email: "ravi@example.com" });
+  authUsers.set("admin1", { uid: "admin1", email: "meera@example.com" });
+});
+
+afterAll(() => {
+  functionsTest.cleanup();
+});
+
+describe("backfillUserClaims", () => {
+  test("copies role and NGO from the users document", async () => {
+    expect(await backfillUserClaims()).toBe(2);
+
+    expect(authUsers.get("worker1").customClaims).toEqual({
+      role: "worker",
+      ngoId: "ngo1",
+    });
+    expect(authUsers.get("admin1").customClaims).toEqual({
+      role: "ngo_admin",
+      ngoId: "ngo1",
+    });
+    expect(authUsers.get("citizen1").customClaims).toBeUndefined();
+    expect(store.get("users/worker1").claimsUpdatedAt).toBeDefined();
+  });
+
+  test("leaves users who already have a role claim alone", async () => {
+    authUsers.set("admin1", {
+      ...authUsers.get("admin1"),
+      customClaims: { role: "citizen", ngoId: null },
+    });
+
+    expect(await backfillUserClaims()).toBe(1);
+    expect(authUsers.get("admin1").customClaims).toEqual({
+      role: "citizen",
+      ngoId: null,
+    });
+  });
+
+  test("skips users documents without an Auth user", async () => {
+    authUsers.delete("worker1");
+
+    expect(await backfillUserClaims()).toBe(1);
+  });
+});
+
+describe("makeSuperAdmin", () => {
+  test("gives the user the super_admin claim and role", async () => {
+    expect(await makeSuperAdmin("ravi@example.com")).toBe("citizen1");
+
+    expect(authUsers.get("citizen1").customClaims).toEqual({
+      role: "super_admin",
+      ngoId: null,
+    });
+    expect(store.get("users/citizen1")).toMatchObject({
+      name: "Ravi",
+      role: "super_admin",
+      ngoId: null,
+    });
+  });
+});
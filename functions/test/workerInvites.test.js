@@ -0,0 +1,110 @@
+/**
+ * completeWorkerInvite claims the invite before setting the password, so
+ * each link sets up the account once.
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const { Timestamp } = require("firebase-admin/firestore");
+const {
+  functionsTest,
+  store,
+  authUsers,
+  myFunctions,
+  seedStore,
+} = require("./helpers");
+
+const TOKEN = "invite-token";
+
+const completeWorkerInvite = functionsTest.wrap(
+  myFunctions.completeWorkerInvite
+);
+
+/**
+ * completeWorkerInvite with the emailed token, before signing in
+ */
+function complete(password = "correct-horse") {
+  return completeWorkerInvite({ data: { token: TOKEN, password } });
+}
+
+beforeEach(() => {
+  seedStore();
+  store.set("users/worker1", {
+    ...store.get("users/worker1"),
+    isActive: false,
+    inviteStatus: "pending",
+  });
+  store.set("workerInvites/worker1", {
+    uid: "worker1",
+    email: "asha@example.com",
+    tokenHash: crypto.createHash("sha256").update(TOKEN).digest("hex"),
+    status: "pending",
+    expiresAt: Timestamp.fromMillis(Date.now() + 60 * 60 * 1000),
+  });
+  authUsers.set("worker1", {
+    uid: "worker1",
+    email: "asha@example.com",
+    disabled: true,
+  });
+});
+
+afterAll(() => {
+  functionsTest.cleanup();
+});
+
+describe("completeWorkerInvite", () => {
+  test("activates the account once per link", async () => {
+    await complete();
+
+    expect(authUsers.get("worker1")).toMatchObject({
+      password: "correct-horse",
+      disabled: false,
+    });
+    expect(store.get("workerInvites/worker1").status).toBe("accepted");
+    expect(store.get("users/worker1")).toMatchObject({
+      isActive: true,
+      inviteStatus: "accepted",
+    });
+
+    await expect(complete("another-password")).rejects.toThrow(
+      "Invite link is no longer valid"
+    );
+    expect(authUsers.get("worker1").password).toBe("correct-horse");
+  });
+
+  test("refuses a second use while the first is still running", async () => {
+    const auth = admin.auth;
+    let secondUse;
+    admin.auth = () => ({
+      ...auth(),
+      updateUser: async (uid, properties) => {
+        // The same link, submitted again while the account is updated
+        if (!secondUse) {
+          secondUse = complete("another-password");
+          await secondUse.catch(() => {});
+        }
+        return auth().updateUser(uid, properties);
+      },
+    });
+
+    try {
+      await complete();
+      await expect(secondUse).rejects.toThrow(
+        "Invite link is no longer valid"
+      );
+    } finally {
+      admin.auth = auth;
+    }
+    expect(authUsers.get("worker1").password).toBe("correct-horse");
+  });
+
+  test("hands the invite back when the account can't be updated", async () => {
+    authUsers.delete("worker1");
+
+    await expect(complete()).rejects.toThrow("no user record");
+
+    expect(store.get("workerInvites/worker1").status).toBe("pending");
+    expect(store.get("workerInvites/worker1").acceptedAt).toBeUndefined();
+    expect(store.get("users/worker1").isActive).toBe(false);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * transferWorker hands the worker's open reports back to automatic
+ * assignment, which may route them to any NGO covering them.
+ */
+
+const { Timestamp } = require("firebase-admin/firestore");
+const {
+  functionsTest,
+  store,
+  authUsers,
+  myFunctions,
+  locationAt,
+  snapshotOf,
+  callAs,
+  seedStore,
+} = require("./helpers");
+
+const transferWorker = functionsTest.wrap(myFunctions.transferWorker);
+
+/**
+ * Move worker1 to ngo3 as a super admin
+ */
+function transfer() {
+  return transferWorker(
+    callAs("super1", { role: "super_admin" }, { uid: "worker1", ngoId: "ngo3" })
+  );
+}
+
+beforeEach(() => {
+  seedStore();
+  store.set("ngos/ngo2", { name: "Green Pune", categories: ["Plastic Waste"] });
+  store.set("ngos/ngo3", { name: "Compost Co", categories: ["Organic Waste"] });
+  store.set("reports/report1", {
+    ...store.get("reports/report1"),
+    status: "assigned",
+    assignedTo: "worker1",
+    ngoId: "ngo1",
+    assignedAt: Timestamp.now(),
+  });
+  authUsers.set("worker1", {
+    uid: "worker1",
+    customClaims: { role: "worker", ngoId: "ngo1" },
+  });
+});
+
+afterAll(() => {
+  functionsTest.cleanup();
+});
+
+describe("transferWorker", () => {
+  test("reassigns open reports to a worker of any covering NGO", async () => {
+    store.set("users/worker2", {
+      ...store.get("users/worker1"),
+      uid: "worker2",
+      ngoId: "ngo2",
+      fcmTokens: ["worker2-token"],
+    });
+
+    expect((await transfer()).reassignedReports).toBe(1);
+
+    expect(store.get("reports/report1")).toMatchObject({
+      status: "assigned",
+      assignedTo: "worker2",
+      ngoId: "ngo2",
+    });
+  });
+
+  test("clears the old NGO from reports nobody could take", async () => {
+    await transfer();
+
+    expect(store.get("reports/report1")).toMatchObject({
+      status: "pending",
+      assignedTo: null,
+      ngoId: null,
+      assignmentPending: true,
+    });
+  });
+});
+
+describe("updateReportStats", () => {
+  const wrapped = functionsTest.wrap(myFunctions.updateReportStats);
+
+  test("doesn't count a released report again when it is reassigned", async () => {
+    const before = {
+      ...store.get("reports/report1"),
+      status: "pending",
+      assignedTo: null,
+      ngoId: null,
+    };
+    const after = {
+      ...before,
+      status: "assigned",
+      assignedTo: "worker1",
+      ngoId: "ngo2",
+    };
+
+    await wrapped({
+      id: "reassign-report1",
+      data: {
+        before: snapshotOf("reports/report1", before),
+        after: snapshotOf("reports/report1", after),
+      },
+      params: { reportId: "report1" },
+    });
+
+    const stats = [...store.keys()].filter((path) =>
+      path.startsWith("reportStats/")
+    );
+    expect(stats).toEqual([]);
+  });
+});